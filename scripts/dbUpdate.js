@@ -89,6 +89,166 @@ const databaseVersions = [
 			);`,
 			'INSERT INTO meta ( version ) VALUES ( "9.0.0" );'
 		]
+	},
+	{
+		targetVersion: '9.1.0',
+		queries: [
+			`CREATE TABLE IF NOT EXISTS sound_statistics (
+				sound_id INTEGER NOT NULL,
+				date TEXT NOT NULL,
+				count INTEGER NOT NULL DEFAULT 0,
+					PRIMARY KEY(sound_id, date),
+					FOREIGN KEY(sound_id) REFERENCES sounds(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			`CREATE TABLE IF NOT EXISTS ratelimits (
+				ip TEXT PRIMARY KEY,
+				tokens REAL NOT NULL,
+				updated INTEGER NOT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS blocklist (
+				id INTEGER PRIMARY KEY,
+				address TEXT NOT NULL UNIQUE,
+				reason TEXT DEFAULT NULL,
+				expires INTEGER DEFAULT NULL,
+				timestamp INTEGER NOT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS admins (
+				id INTEGER PRIMARY KEY,
+				username TEXT NOT NULL UNIQUE,
+				password TEXT NOT NULL,
+				role TEXT NOT NULL DEFAULT "moderator",
+				created INTEGER NOT NULL,
+				totp_secret TEXT DEFAULT NULL,
+				totp_enabled INTEGER NOT NULL DEFAULT 0,
+				totp_last_step INTEGER DEFAULT NULL,
+				recovery_codes TEXT DEFAULT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS api_keys (
+				id INTEGER PRIMARY KEY,
+				name TEXT NOT NULL,
+				hash TEXT NOT NULL UNIQUE,
+				scopes TEXT NOT NULL,
+				expires INTEGER DEFAULT NULL,
+				last_used INTEGER DEFAULT NULL,
+				created INTEGER NOT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS audit_log (
+				id INTEGER PRIMARY KEY,
+				actor TEXT NOT NULL,
+				route TEXT NOT NULL,
+				before TEXT DEFAULT NULL,
+				after TEXT DEFAULT NULL,
+				ip TEXT DEFAULT NULL,
+				timestamp INTEGER NOT NULL
+			);`,
+			'CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log ( timestamp );',
+			`CREATE TABLE IF NOT EXISTS sessions (
+				id INTEGER PRIMARY KEY,
+				sid TEXT NOT NULL UNIQUE,
+				admin_id INTEGER DEFAULT NULL,
+				data TEXT NOT NULL,
+				ip TEXT DEFAULT NULL,
+				user_agent TEXT DEFAULT NULL,
+				last_seen INTEGER NOT NULL,
+				expires INTEGER NOT NULL,
+					FOREIGN KEY(admin_id) REFERENCES admins(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			'CREATE INDEX IF NOT EXISTS sessions_expires ON sessions ( expires );',
+			'ALTER TABLE sounds ADD COLUMN duration REAL DEFAULT NULL;',
+			'ALTER TABLE sounds ADD COLUMN bitrate INTEGER DEFAULT NULL;',
+			'ALTER TABLE sounds ADD COLUMN sample_rate INTEGER DEFAULT NULL;',
+			'ALTER TABLE sounds ADD COLUMN formats TEXT NOT NULL DEFAULT "mp3";',
+			`CREATE TABLE IF NOT EXISTS tags (
+				id INTEGER PRIMARY KEY,
+				name TEXT NOT NULL UNIQUE
+			);`,
+			`CREATE TABLE IF NOT EXISTS sound_tags (
+				sound_id INTEGER NOT NULL,
+				tag_id INTEGER NOT NULL,
+					PRIMARY KEY(sound_id, tag_id),
+					FOREIGN KEY(sound_id) REFERENCES sounds(id) ON UPDATE CASCADE ON DELETE CASCADE,
+					FOREIGN KEY(tag_id) REFERENCES tags(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			`CREATE TABLE IF NOT EXISTS sound_aliases (
+				filename TEXT PRIMARY KEY,
+				sound_id INTEGER NOT NULL,
+					FOREIGN KEY(sound_id) REFERENCES sounds(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			'ALTER TABLE sounds ADD COLUMN deleted_at INTEGER DEFAULT NULL;',
+			'INSERT OR IGNORE INTO sound_aliases ( filename, sound_id ) SELECT "igiari", id FROM sounds WHERE filename = "objection";',
+			`CREATE TABLE IF NOT EXISTS themes (
+				id INTEGER PRIMARY KEY,
+				name TEXT NOT NULL UNIQUE,
+				title TEXT NOT NULL,
+				stylesheet TEXT DEFAULT NULL,
+				sidebar TEXT DEFAULT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS theme_backgrounds (
+				id INTEGER PRIMARY KEY,
+				theme_id INTEGER NOT NULL,
+				filename TEXT NOT NULL UNIQUE,
+				displayname TEXT NOT NULL,
+				image TEXT NOT NULL,
+					FOREIGN KEY(theme_id) REFERENCES themes(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			`INSERT OR IGNORE INTO themes ( id, name, title, stylesheet, sidebar ) VALUES
+				( 1, "megumin", "Megumin", NULL, "/images/vectors/megumin_sidebar.svg" ),
+				( 2, "aqua", "Aqua", "/css/aqua.min.css", "/images/vectors/aqua_sidebar.svg" ),
+				( 3, "darkness", "Darkness", "/css/darkness.min.css", "/images/vectors/darkness_sidebar.svg" ),
+				( 4, "kazuma", "Kazuma", "/css/kazuma.min.css", "/images/vectors/kazuma_sidebar.svg" );`,
+			`INSERT OR IGNORE INTO theme_backgrounds ( id, theme_id, filename, displayname, image ) VALUES
+				( 1, 2, "aqua_true_goddess", "True Goddess", "/images/backgrounds/aqua_true_goddess.jpg" ),
+				( 2, 3, "darkness_chivalrous_crusader", "Chivalrous Crusader", "/images/backgrounds/darkness_chivalrous_crusader.jpg" ),
+				( 3, 4, "kazuma_equality_advocate", "Equality Advocate", "/images/backgrounds/kazuma_equality_advocate.jpg" );`,
+			'INSERT OR IGNORE INTO themes ( name, title ) SELECT DISTINCT theme, theme FROM sounds WHERE theme IS NOT NULL;',
+			`CREATE TABLE IF NOT EXISTS seasonal_events (
+				id INTEGER PRIMARY KEY,
+				name TEXT NOT NULL,
+				start_date TEXT NOT NULL,
+				end_date TEXT NOT NULL,
+				year INTEGER DEFAULT NULL,
+				notification TEXT DEFAULT NULL
+			);`,
+			`CREATE TABLE IF NOT EXISTS seasonal_backgrounds (
+				id INTEGER PRIMARY KEY,
+				event_id INTEGER NOT NULL,
+				filename TEXT NOT NULL UNIQUE,
+				displayname TEXT NOT NULL,
+				image TEXT NOT NULL,
+					FOREIGN KEY(event_id) REFERENCES seasonal_events(id) ON UPDATE CASCADE ON DELETE CASCADE
+			);`,
+			`INSERT OR IGNORE INTO seasonal_events ( id, name, start_date, end_date ) VALUES
+				( 1, "Easter", "04-14", "04-28" ),
+				( 2, "USA Independence", "07-04", "07-04" ),
+				( 3, "German Unity Day", "10-03", "10-03" ),
+				( 4, "Halloween", "10-26", "11-02" ),
+				( 5, "Birthday", "12-04", "12-04" ),
+				( 6, "Christmas", "12-19", "12-26" ),
+				( 7, "New Year's Eve", "12-31", "01-01" );`,
+			`INSERT OR IGNORE INTO seasonal_backgrounds ( id, event_id, filename, displayname, image ) VALUES
+				( 1, 1, "bg1_easter1", "Easter (1)", "/images/backgrounds/bg1_easter1.jpg" ),
+				( 2, 1, "bg1_easter2", "Easter (2)", "/images/backgrounds/bg1_easter2.jpg" ),
+				( 3, 2, "bg1_usa_independence", "USA Independence", "/images/backgrounds/bg1_usa_independence.jpg" ),
+				( 4, 3, "bg1_german_unity", "German Unity Day", "/images/backgrounds/bg1_german_unity.jpg" ),
+				( 5, 4, "bg1_halloween1", "Halloween (1)", "/images/backgrounds/bg1_halloween1.jpg" ),
+				( 6, 4, "bg1_halloween2", "Halloween (2)", "/images/backgrounds/bg1_halloween2.jpg" ),
+				( 7, 5, "bg1_birthday", "Birthday", "/images/backgrounds/bg1_birthday.jpg" ),
+				( 8, 6, "bg1_christmas", "Christmas", "/images/backgrounds/bg1_christmas.jpg" ),
+				( 9, 7, "bg1_newyearseve", "New Year's Eve", "/images/backgrounds/bg1_newyearseve.jpg" );`,
+			`CREATE TABLE IF NOT EXISTS milestone_rules (
+				id INTEGER PRIMARY KEY,
+				type TEXT NOT NULL,
+				value INTEGER NOT NULL
+			);`,
+			'ALTER TABLE milestones ADD COLUMN rule_id INTEGER DEFAULT NULL REFERENCES milestone_rules(id) ON UPDATE CASCADE ON DELETE SET NULL;',
+			'UPDATE meta SET version = "9.1.0";'
+		],
+		notes: [
+			'Duration, bitrate and sample rate of all sounds are read from their files on the next start of the website.',
+			'Admin routes no longer accept the admin token as the Authorization header. Scripts have to use Basic auth of an admin account or an API key.',
+			'If no admin accounts exist, the owner account \'admin\' is created on the next start of the website with the admin token as its password.',
+			'Node.js 14.14.0 or newer is required from now on.'
+		]
 	}
 ];
 
@@ -1,6 +1,8 @@
-import { util, themes } from './extras.min.js';
+import { util, themesLoaded } from './extras.min.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
+	const themes = await themesLoaded;
+
 	function formatDate(date) {
 		let month = date.getMonth() + 1;
 		if (month < 10) month = `0${month}`;
@@ -21,7 +23,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 			const theme = `associated with "${sound.theme}"`;
 			return `
 				<option value=${sound.id}>
-					${sound.displayname} (${sound.filename}.mp3, ${source}, ${sound.count} clicks, ${theme})
+					${sound.displayname} (${sound.filename} as ${sound.formats.join('/')}, ${source}, ${sound.count} clicks, ${theme})
 				</option>
 			`;
 		});
@@ -34,6 +36,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 		document.getElementById('sound-modify-id-select').innerHTML = options.join('');
 		document.getElementById('sound-delete-id-select').innerHTML = options.join('');
+		document.getElementById('sound-tags-id-select').innerHTML = options.join('');
 		document.getElementById('milestone-add-sound_id-select').innerHTML = options.join('');
 		document.getElementById('milestone-modify-sound_id-select').innerHTML = options.join('');
 
@@ -41,6 +44,36 @@ document.addEventListener('DOMContentLoaded', async () => {
 		document.getElementById('sound-modify-theme-select').innerHTML = modifyThemeOptions.join('');
 	}
 
+	function updateTags(t) {
+		tags = t.sort((a, b) => a.name.localeCompare(b.name));
+
+		const options = tags.map(tag => {
+			const taggedSounds = sounds.filter(sound => sound.tags.includes(tag.name)).length;
+			return `<option value=${tag.id}>${tag.name} (${taggedSounds} sounds)</option>`;
+		});
+
+		options.unshift('<option value="">No tag selected</option>');
+
+		document.getElementById('tag-modify-id-select').innerHTML = options.join('');
+		document.getElementById('tag-delete-id-select').innerHTML = options.join('');
+	}
+
+	function updateTrash(t) {
+		trashedSounds = t.sort((a, b) => b.deleted_at - a.deleted_at);
+
+		const options = trashedSounds.map(sound => {
+			const purgeDate = sound.purge_at ? `purged ${formatDate(new Date(sound.purge_at))}` : 'kept until purged';
+			return `
+				<option value=${sound.id}>
+					${sound.displayname || sound.filename} (${sound.filename}, deleted ${formatDate(new Date(sound.deleted_at))}, ${purgeDate})
+				</option>
+			`;
+		});
+
+		document.getElementById('sound-restore-id-select').innerHTML = ['<option value="">No sound selected</option>'].concat(options).join('');
+		document.getElementById('sound-purge-id-select').innerHTML = ['<option value="">Whole trash</option>'].concat(options).join('');
+	}
+
 	function updateMilestones(m) {
 		milestones = m.sort((a, b) => a.id - b.id);
 
@@ -61,22 +94,284 @@ document.addEventListener('DOMContentLoaded', async () => {
 		document.getElementById('milestone-delete-id-select').innerHTML = options.join('');
 	}
 
+	function updateMilestoneRules(rules) {
+		milestoneRules = rules.sort((a, b) => a.id - b.id);
+
+		const ruleDescriptions = { interval: 'Every {} clicks', power: 'Every power of {}', percentage: 'Every {}% of the total' };
+		const options = milestoneRules.map(rule => {
+			const description = ruleDescriptions[rule.type].replace('{}', rule.value);
+			return `<option value=${rule.id}>Rule ${rule.id} (${description})</option>`;
+		});
+
+		options.unshift('<option value="">No rule selected</option>');
+
+		document.getElementById('milestone-rule-delete-id-select').innerHTML = options.join('');
+	}
+
+	function updateSeasonalEvents(events) {
+		seasonalEvents = events.sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+		const options = seasonalEvents.map(event => {
+			const dates = `${event.start_date} to ${event.end_date} ${event.year ? `in ${event.year}` : 'yearly'}`;
+			return `<option value=${event.id}>${event.name} (${dates}, ${event.backgrounds.length} backgrounds)</option>`;
+		});
+		const backgroundOptions = [].concat(...seasonalEvents.map(event => {
+			return event.backgrounds.map(bg => `<option value=${bg.id}>${bg.displayname} (${bg.filename}, ${event.name})</option>`);
+		}));
+
+		options.unshift('<option value="">No event selected</option>');
+		backgroundOptions.unshift('<option value="">No background selected</option>');
+
+		document.getElementById('seasonal-modify-id-select').innerHTML = options.join('');
+		document.getElementById('seasonal-delete-id-select').innerHTML = options.join('');
+		document.getElementById('seasonal-background-add-event-select').innerHTML = options.join('');
+		document.getElementById('seasonal-background-delete-id-select').innerHTML = backgroundOptions.join('');
+	}
+
+	function updateBlocklist(entries) {
+		blocklist = entries.sort((a, b) => a.id - b.id);
+
+		const options = blocklist.map(entry => {
+			const formattedDate = entry.expires ? `expires ${formatDate(new Date(entry.expires))}` : 'Permanent';
+			return `
+				<option value=${entry.id}>
+					${entry.address} (${entry.reason || 'No reason'}, ${formattedDate})
+				</option>
+			`;
+		});
+
+		options.unshift('<option value="">No entry selected</option>');
+
+		document.getElementById('blocklist-modify-id-select').innerHTML = options.join('');
+		document.getElementById('blocklist-delete-id-select').innerHTML = options.join('');
+	}
+
+	function updateAccounts(a) {
+		accounts = a.sort((first, second) => first.id - second.id);
+
+		const options = accounts.map(acc => {
+			return `
+				<option value=${acc.id}>
+					${acc.username} (${acc.role}, created ${formatDate(new Date(acc.created))})
+				</option>
+			`;
+		});
+
+		options.unshift('<option value="">No account selected</option>');
+
+		document.getElementById('accounts-modify-id-select').innerHTML = options.join('');
+		document.getElementById('accounts-delete-id-select').innerHTML = options.join('');
+	}
+
+	function describeAuditChanges(before, after) {
+		if (before && after) {
+			const changedKeys = Object.keys(Object.assign({}, before, after)).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+			if (!changedKeys.length) return 'No changes';
+
+			return changedKeys.map(key => `${key}: ${JSON.stringify(before[key])} → ${JSON.stringify(after[key])}`).join('; ');
+		}
+		else if (after) return `Added ${JSON.stringify(after)}`;
+		else if (before) return `Removed ${JSON.stringify(before)}`;
+		else return '-';
+	}
+
+	const auditPageSize = 25;
+	let auditOffset = 0, auditFilters = {};
+
+	function updateTwoFactor(enabled, enrolling = false) {
+		document.getElementById('two-factor-current').innerText = enabled ? 'Enabled' : 'Disabled';
+		document.getElementById('two-factor-setup').style.display = enabled || enrolling ? 'none' : '';
+		document.getElementById('two-factor-secret').style.display = enrolling ? '' : 'none';
+		document.getElementById('two-factor-confirm-form').style.display = enrolling ? '' : 'none';
+		document.getElementById('two-factor-disable-form').style.display = enabled ? '' : 'none';
+	}
+
+	async function updateAuditLog() {
+		const params = new URLSearchParams(Object.assign({ limit: auditPageSize, offset: auditOffset }, auditFilters));
+		const auditRes = await fetch(`/api/admin/audit?${params}`);
+		const total = parseInt(auditRes.headers.get('X-Total-Count')) || 0;
+		const entries = await auditRes.json();
+
+		const rows = entries.map(entry => {
+			const row = document.createElement('tr');
+			const date = new Date(entry.timestamp);
+			const changes = describeAuditChanges(entry.before, entry.after);
+			const cells = [`${formatDate(date)} ${date.toLocaleTimeString()}`, entry.actor, entry.route, entry.ip || '-', changes];
+
+			cells.forEach(content => {
+				const cell = document.createElement('td');
+				cell.textContent = content; // Logged values are user input, so they're never parsed as HTML
+				row.appendChild(cell);
+			});
+
+			return row;
+		});
+
+		const tableBody = document.getElementById('audit-entries');
+		tableBody.innerHTML = '';
+		rows.forEach(row => tableBody.appendChild(row));
+
+		const lastEntry = Math.min(auditOffset + auditPageSize, total);
+		document.getElementById('audit-page').innerText = total ? `Entries ${auditOffset + 1}-${lastEntry} of ${total}` : 'No entries found';
+		document.getElementById('audit-previous').disabled = auditOffset === 0;
+		document.getElementById('audit-next').disabled = lastEntry >= total;
+	}
+
+	const account = await fetch('/api/admin/account').then(res => res.json());
+	const adminRoles = ['moderator', 'admin', 'owner'];
+	const hasRole = role => adminRoles.indexOf(account.role) >= adminRoles.indexOf(role);
+
+	document.getElementById('account-current').innerText = `Logged in as ${account.username} (${account.role})`;
+	updateTwoFactor(account.two_factor);
+	document.querySelectorAll('[data-role]').forEach(element => {
+		if (!hasRole(element.dataset.role)) element.style.display = 'none';
+	}); // Hide what the account's role isn't allowed to use, the API refuses it either way
+
 	let sounds = await fetch('/api/sounds').then(res => res.json());
 	updateSounds(sounds);
 
+	let tags = await fetch('/api/tags').then(res => res.json());
+	updateTags(tags);
+
+	let trashedSounds = hasRole('owner') ? await fetch('/api/admin/sounds/trash').then(res => res.json()) : [];
+	updateTrash(trashedSounds);
+
 	let milestones = await fetch('/api/statistics/milestones').then(res => res.json());
 	updateMilestones(milestones);
 
-	const config = await fetch('/api/admin/config').then(res => res.json());
-	document.getElementById('update-interval-current').innerHTML = `Current: ${config.updateInterval}`;
-	document.getElementById('response-interval-current').innerHTML = `Current: ${config.responseInterval} | -1 to immediately respond`;
-	document.getElementById('socket-connections-current').innerHTML = `Current: ${config.socketConnections} | -1 to disable`;
-	document.getElementById('rate-limit-current').innerHTML = `Current: ${config.requestsPerMinute} | -1 to disable`;
+	let milestoneRules = await fetch('/api/admin/milestones/rules').then(res => res.json());
+	updateMilestoneRules(milestoneRules);
+
+	let seasonalEvents = hasRole('admin') ? await fetch('/api/backgrounds').then(res => res.json()) : [];
+	updateSeasonalEvents(seasonalEvents);
+
+	let blocklist = hasRole('admin') ? await fetch('/api/admin/blocklist').then(res => res.json()) : [];
+	updateBlocklist(blocklist);
 
+	let accounts = hasRole('owner') ? await fetch('/api/admin/accounts').then(res => res.json()) : [];
+	updateAccounts(accounts);
+
+	if (hasRole('owner')) updateAuditLog();
+
+	if (hasRole('owner')) {
+		const config = await fetch('/api/admin/config').then(res => res.json());
+		document.getElementById('update-interval-current').innerHTML = `Current: ${config.updateInterval}`;
+		document.getElementById('response-interval-current').innerHTML = `Current: ${config.responseInterval} | -1 to immediately respond`;
+		document.getElementById('socket-connections-current').innerHTML = `Current: ${config.socketConnections} | -1 to disable`;
+		document.getElementById('rate-limit-current').innerHTML = `Current: ${config.requestsPerMinute}, burst ${config.ratelimitBurst} | -1 to disable`;
+	}
+
+	const accountResponse = document.getElementById('account-response');
 	const soundResponse = document.getElementById('sound-response');
 	const milestoneResponse = document.getElementById('milestone-response');
+	const seasonalResponse = document.getElementById('seasonal-response');
+	const blocklistResponse = document.getElementById('blocklist-response');
+	const accountsResponse = document.getElementById('accounts-response');
 	const configResponse = document.getElementById('config-response');
 
+	/* ------ Account-panel Forms ------ */
+
+	const accountPasswordForm = document.getElementById('account-password-form');
+	accountPasswordForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const passwordRes = await fetch('/api/admin/account', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ currentPassword: accountPasswordForm[0].value, password: accountPasswordForm[1].value })
+		}).then(res => res.json());
+
+		if (passwordRes.code === 200) {
+			accountPasswordForm.reset();
+
+			accountResponse.innerText = 'Password successfully changed!';
+			return util.fade(accountResponse, 5000);
+		}
+		else {
+			accountResponse.innerText = `An Error occurred (Code ${passwordRes.code}): ${passwordRes.message}`;
+			return util.fade(accountResponse, 5000);
+		}
+	});
+
+	document.getElementById('two-factor-setup').addEventListener('click', async e => {
+		e.preventDefault();
+
+		const setupRes = await fetch('/api/admin/account/2fa', {
+			method: 'POST',
+			headers: {
+				'X-CSRF-Token': account.csrfToken
+			}
+		}).then(res => res.json());
+
+		if (setupRes.code === 200) {
+			document.getElementById('two-factor-secret').innerText = `Add this secret to your authenticator app: ${setupRes.secret}`;
+			return updateTwoFactor(false, true);
+		}
+		else {
+			accountResponse.innerText = `An Error occurred (Code ${setupRes.code}): ${setupRes.message}`;
+			return util.fade(accountResponse, 5000);
+		}
+	});
+
+	const twoFactorConfirmForm = document.getElementById('two-factor-confirm-form');
+	twoFactorConfirmForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const confirmRes = await fetch('/api/admin/account/2fa', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ code: twoFactorConfirmForm[0].value })
+		}).then(res => res.json());
+
+		if (confirmRes.code === 200) {
+			twoFactorConfirmForm.reset();
+			updateTwoFactor(true);
+
+			document.getElementById('two-factor-recovery-codes').innerText = `Recovery codes, each usable once: ${confirmRes.recoveryCodes.join(' ')}`;
+			// Only shown this once, the server only keeps hashes of them
+
+			accountResponse.innerText = 'Two-factor authentication successfully enabled!';
+			return util.fade(accountResponse, 5000);
+		}
+		else {
+			accountResponse.innerText = `An Error occurred (Code ${confirmRes.code}): ${confirmRes.message}`;
+			return util.fade(accountResponse, 5000);
+		}
+	});
+
+	const twoFactorDisableForm = document.getElementById('two-factor-disable-form');
+	twoFactorDisableForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const disableRes = await fetch('/api/admin/account/2fa', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ currentPassword: twoFactorDisableForm[0].value })
+		}).then(res => res.json());
+
+		if (disableRes.code === 200) {
+			twoFactorDisableForm.reset();
+			updateTwoFactor(false);
+			document.getElementById('two-factor-recovery-codes').innerText = '';
+
+			accountResponse.innerText = 'Two-factor authentication successfully disabled!';
+			return util.fade(accountResponse, 5000);
+		}
+		else {
+			accountResponse.innerText = `An Error occurred (Code ${disableRes.code}): ${disableRes.message}`;
+			return util.fade(accountResponse, 5000);
+		}
+	});
+
 	/* ------ Sound-panel Forms ------ */
 
 	const soundUploadForm = document.getElementById('sound-upload-form');
@@ -88,7 +383,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 		for (let i = 0; i < soundUploadForm.elements.length - 1; i++) {
 			const field = soundUploadForm.elements[i];
 			if (field.name === 'file') {
-				formData.append('file', field.files[0]);
+				for (const file of field.files) formData.append('file', file); // One file per format
 				continue;
 			}
 			if (field.value !== '') formData.append(field.name, field.value);
@@ -97,10 +392,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const uploadRes = await fetch('/api/admin/sounds/upload', {
 			method: 'POST',
 			headers: {
-				Authorization: localStorage.getItem('token')
-				// Content-Type not set because of boundary
+				'X-CSRF-Token': account.csrfToken
 			},
-			body: formData
+			body: formData // Content-Type not set because of boundary
 		}).then(res => res.json());
 
 		if (uploadRes.code === 200) {
@@ -132,8 +426,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const modifyRes = await fetch('/api/admin/sounds/modify', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -161,8 +455,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const deleteRes = await fetch('/api/admin/sounds/delete', {
 			method: 'DELETE',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify({ id: soundDeleteForm[0].value })
 		}).then(res => res.json());
@@ -170,13 +464,244 @@ document.addEventListener('DOMContentLoaded', async () => {
 		if (deleteRes.code === 200) {
 			soundDeleteForm.reset();
 
-			soundResponse.innerText = 'Sound successfully deleted!';
+			soundResponse.innerText = 'Sound successfully moved to the trash!';
 			util.fade(soundResponse, 5000);
 
 			sounds.splice(sounds.findIndex(snd => snd.id === deleteRes.sound.id), 1);
 			// Compare IDs because all other fields may have changed, id the only constant
+			updateSounds(sounds);
+
+			return updateTrash(await fetch('/api/admin/sounds/trash').then(res => res.json()));
+			// Refetched for the purge dates, which depend on the configured retention
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const soundRestoreForm = document.getElementById('sound-restore-form');
+	soundRestoreForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const restoreRes = await fetch('/api/admin/sounds/trash/restore', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: soundRestoreForm[0].value })
+		}).then(res => res.json());
+
+		if (restoreRes.code === 200) {
+			soundRestoreForm.reset();
+
+			soundResponse.innerText = 'Sound successfully restored!';
+			util.fade(soundResponse, 5000);
+
+			trashedSounds.splice(trashedSounds.findIndex(snd => snd.id === restoreRes.sound.id), 1);
+			updateTrash(trashedSounds);
+
+			sounds.push(restoreRes.sound);
+			return updateSounds(sounds);
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${restoreRes.code}): ${restoreRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const soundPurgeForm = document.getElementById('sound-purge-form');
+	soundPurgeForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const purgeRes = await fetch('/api/admin/sounds/trash/purge', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(soundPurgeForm[0].value ? { id: soundPurgeForm[0].value } : {})
+		}).then(res => res.json());
+
+		if (purgeRes.code === 200) {
+			soundPurgeForm.reset();
+
+			soundResponse.innerText = `${purgeRes.sounds.length} sounds permanently deleted!`;
+			util.fade(soundResponse, 5000);
+
+			return updateTrash(trashedSounds.filter(snd => !purgeRes.sounds.some(purged => purged.id === snd.id)));
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${purgeRes.code}): ${purgeRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	document.getElementById('sound-scan-button').addEventListener('click', async e => {
+		e.preventDefault();
+
+		const scanRes = await fetch('/api/admin/sounds/scan').then(res => res.json());
+		const unimported = scanRes.orphanedFiles.map(file => `${file.path}${file.importable ? '' : ' (filename in use)'}`);
+		const missing = scanRes.missingFiles.map(sound => `${sound.filename} (${sound.theme}, ${sound.source})`);
+
+		document.getElementById('sound-scan-result').innerText = [
+			`Files without sounds: ${unimported.length ? unimported.join(', ') : 'None'}`,
+			`Sounds without files: ${missing.length ? missing.join(', ') : 'None'}`
+		].join('\n');
+	});
+
+	const soundScanForm = document.getElementById('sound-scan-form');
+	soundScanForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < soundScanForm.elements.length - 1; i++) {
+			const field = soundScanForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const importRes = await fetch('/api/admin/sounds/scan', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (importRes.code === 200) {
+			soundScanForm.reset();
+			document.getElementById('sound-scan-result').innerText = '';
+
+			soundResponse.innerText = `${importRes.sounds.length} sounds successfully imported, give them a displayname to show them on the soundboard!`;
+			util.fade(soundResponse, 5000);
+
+			sounds.push(...importRes.sounds);
 			return updateSounds(sounds);
 		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${importRes.code}): ${importRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const soundTagsForm = document.getElementById('sound-tags-form');
+	soundTagsForm[0].addEventListener('change', e => {
+		const sound = sounds.find(snd => snd.id === parseInt(e.target.value));
+		soundTagsForm[1].value = sound ? sound.tags.join(', ') : '';
+	}); // Show the current tags so they can be edited instead of retyped
+
+	soundTagsForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const tagsRes = await fetch('/api/admin/sounds/tags', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: soundTagsForm[0].value, tags: soundTagsForm[1].value })
+		}).then(res => res.json());
+
+		if (tagsRes.code === 200) {
+			soundTagsForm.reset();
+
+			soundResponse.innerText = 'Sound tags successfully set!';
+			util.fade(soundResponse, 5000);
+
+			sounds[sounds.findIndex(snd => snd.id === tagsRes.sound.id)] = tagsRes.sound;
+			updateSounds(sounds);
+			return updateTags(tags); // Tag options show how many sounds have them
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${tagsRes.code}): ${tagsRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const tagAddForm = document.getElementById('tag-add-form');
+	tagAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const addRes = await fetch('/api/admin/tags/add', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ name: tagAddForm[0].value })
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			tagAddForm.reset();
+
+			soundResponse.innerText = 'Tag successfully added!';
+			util.fade(soundResponse, 5000);
+
+			tags.push(addRes.tag);
+			return updateTags(tags);
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const tagModifyForm = document.getElementById('tag-modify-form');
+	tagModifyForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const modifyRes = await fetch('/api/admin/tags/modify', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: tagModifyForm[0].value, name: tagModifyForm[1].value })
+		}).then(res => res.json());
+
+		if (modifyRes.code === 200) {
+			tagModifyForm.reset();
+
+			soundResponse.innerText = 'Tag successfully renamed!';
+			util.fade(soundResponse, 5000);
+
+			const previousName = tags.find(tag => tag.id === modifyRes.tag.id).name;
+			sounds.forEach(snd => snd.tags = snd.tags.map(name => name === previousName ? modifyRes.tag.name : name));
+			tags[tags.findIndex(tag => tag.id === modifyRes.tag.id)] = modifyRes.tag;
+			return updateTags(tags);
+		}
+		else {
+			soundResponse.innerText = `An Error occurred (Code ${modifyRes.code}): ${modifyRes.message}`;
+			return util.fade(soundResponse, 5000);
+		}
+	});
+
+	const tagDeleteForm = document.getElementById('tag-delete-form');
+	tagDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/tags/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: tagDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			tagDeleteForm.reset();
+
+			soundResponse.innerText = 'Tag successfully deleted!';
+			util.fade(soundResponse, 5000);
+
+			sounds.forEach(snd => snd.tags = snd.tags.filter(name => name !== deleteRes.tag.name));
+			tags.splice(tags.findIndex(tag => tag.id === deleteRes.tag.id), 1);
+			return updateTags(tags);
+		}
 		else {
 			soundResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
 			return util.fade(soundResponse, 5000);
@@ -199,8 +724,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const addRes = await fetch('/api/admin/milestones/add', {
 			method: 'POST',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -234,8 +759,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const modifyRes = await fetch('/api/admin/milestones/modify', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -263,8 +788,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const deleteRes = await fetch('/api/admin/milestones/delete', {
 			method: 'DELETE',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify({ id: milestoneDeleteForm[0].value })
 		}).then(res => res.json());
@@ -285,6 +810,457 @@ document.addEventListener('DOMContentLoaded', async () => {
 		}
 	});
 
+	const milestoneRuleAddForm = document.getElementById('milestone-rule-add-form');
+	milestoneRuleAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const addRes = await fetch('/api/admin/milestones/rules/add', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ type: milestoneRuleAddForm[0].value, value: milestoneRuleAddForm[1].value })
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			milestoneRuleAddForm.reset();
+
+			milestoneResponse.innerText = `Milestone rule successfully added, first milestone at ${addRes.milestone.count} clicks!`;
+			util.fade(milestoneResponse, 5000);
+
+			milestoneRules.push(addRes.rule);
+			milestones.push(addRes.milestone);
+			updateMilestones(milestones);
+			return updateMilestoneRules(milestoneRules);
+		}
+		else {
+			milestoneResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(milestoneResponse, 5000);
+		}
+	});
+
+	const milestoneRuleDeleteForm = document.getElementById('milestone-rule-delete-form');
+	milestoneRuleDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/milestones/rules/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: milestoneRuleDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			milestoneRuleDeleteForm.reset();
+
+			milestoneResponse.innerText = 'Milestone rule successfully deleted!';
+			util.fade(milestoneResponse, 5000);
+
+			milestoneRules.splice(milestoneRules.findIndex(rule => rule.id === deleteRes.rule.id), 1);
+			milestones = milestones.filter(ms => !deleteRes.milestones.some(removed => removed.id === ms.id));
+			milestones.filter(ms => ms.rule_id === deleteRes.rule.id).forEach(ms => ms.rule_id = null);
+			updateMilestones(milestones);
+			return updateMilestoneRules(milestoneRules);
+		}
+		else {
+			milestoneResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(milestoneResponse, 5000);
+		}
+	});
+
+	/* ------ Seasonal-panel Forms ------ */
+
+	const seasonalAddForm = document.getElementById('seasonal-add-form');
+	seasonalAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < seasonalAddForm.elements.length - 1; i++) {
+			const field = seasonalAddForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const addRes = await fetch('/api/admin/seasonals/add', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			seasonalAddForm.reset();
+
+			seasonalResponse.innerText = 'Seasonal event successfully added!';
+			util.fade(seasonalResponse, 5000);
+
+			seasonalEvents.push(addRes.event);
+			return updateSeasonalEvents(seasonalEvents);
+		}
+		else {
+			seasonalResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(seasonalResponse, 5000);
+		}
+	});
+
+	const seasonalModifyForm = document.getElementById('seasonal-modify-form');
+	seasonalModifyForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < seasonalModifyForm.elements.length - 1; i++) {
+			const field = seasonalModifyForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		if (data.year === 'yearly') data.year = null;
+		if (data.notification === 'none') data.notification = null;
+		// Empty fields mean no change, so removing values needs keywords
+
+		const modifyRes = await fetch('/api/admin/seasonals/modify', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (modifyRes.code === 200) {
+			seasonalModifyForm.reset();
+
+			seasonalResponse.innerText = 'Seasonal event successfully modified!';
+			util.fade(seasonalResponse, 5000);
+
+			seasonalEvents[seasonalEvents.findIndex(event => event.id === modifyRes.event.id)] = modifyRes.event;
+			return updateSeasonalEvents(seasonalEvents);
+		}
+		else {
+			seasonalResponse.innerText = `An Error occurred (Code ${modifyRes.code}): ${modifyRes.message}`;
+			return util.fade(seasonalResponse, 5000);
+		}
+	});
+
+	const seasonalDeleteForm = document.getElementById('seasonal-delete-form');
+	seasonalDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/seasonals/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: seasonalDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			seasonalDeleteForm.reset();
+
+			seasonalResponse.innerText = 'Seasonal event successfully deleted!';
+			util.fade(seasonalResponse, 5000);
+
+			seasonalEvents.splice(seasonalEvents.findIndex(event => event.id === deleteRes.event.id), 1);
+			return updateSeasonalEvents(seasonalEvents);
+		}
+		else {
+			seasonalResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(seasonalResponse, 5000);
+		}
+	});
+
+	const seasonalBackgroundAddForm = document.getElementById('seasonal-background-add-form');
+	seasonalBackgroundAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const formData = new FormData(seasonalBackgroundAddForm);
+
+		const addRes = await fetch('/api/admin/seasonals/backgrounds/add', {
+			method: 'POST',
+			headers: {
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: formData // Content-Type not set because of boundary
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			seasonalBackgroundAddForm.reset();
+
+			seasonalResponse.innerText = 'Background successfully added!';
+			util.fade(seasonalResponse, 5000);
+
+			seasonalEvents.find(event => event.id === addRes.background.event_id).backgrounds.push(addRes.background);
+			return updateSeasonalEvents(seasonalEvents);
+		}
+		else {
+			seasonalResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(seasonalResponse, 5000);
+		}
+	});
+
+	const seasonalBackgroundDeleteForm = document.getElementById('seasonal-background-delete-form');
+	seasonalBackgroundDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/seasonals/backgrounds/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: seasonalBackgroundDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			seasonalBackgroundDeleteForm.reset();
+
+			seasonalResponse.innerText = 'Background successfully deleted!';
+			util.fade(seasonalResponse, 5000);
+
+			const { backgrounds } = seasonalEvents.find(event => event.id === deleteRes.background.event_id);
+			backgrounds.splice(backgrounds.findIndex(bg => bg.id === deleteRes.background.id), 1);
+			return updateSeasonalEvents(seasonalEvents);
+		}
+		else {
+			seasonalResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(seasonalResponse, 5000);
+		}
+	});
+
+	/* ------ Blocklist-panel Forms ------ */
+
+	const blocklistAddForm = document.getElementById('blocklist-add-form');
+	blocklistAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < blocklistAddForm.elements.length - 1; i++) {
+			const field = blocklistAddForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const addRes = await fetch('/api/admin/blocklist/add', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			blocklistAddForm.reset();
+
+			blocklistResponse.innerText = 'Blocklist entry successfully added!';
+			util.fade(blocklistResponse, 5000);
+
+			blocklist.push(addRes.entry);
+			return updateBlocklist(blocklist);
+		}
+		else {
+			blocklistResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(blocklistResponse, 5000);
+		}
+	});
+
+	const blocklistModifyForm = document.getElementById('blocklist-modify-form');
+	blocklistModifyForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < blocklistModifyForm.elements.length - 1; i++) {
+			const field = blocklistModifyForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const modifyRes = await fetch('/api/admin/blocklist/modify', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (modifyRes.code === 200) {
+			blocklistModifyForm.reset();
+
+			blocklistResponse.innerText = 'Blocklist entry successfully modified!';
+			util.fade(blocklistResponse, 5000);
+
+			blocklist[blocklist.findIndex(entry => entry.id === modifyRes.entry.id)] = modifyRes.entry;
+			return updateBlocklist(blocklist);
+		}
+		else {
+			blocklistResponse.innerText = `An Error occurred (Code ${modifyRes.code}): ${modifyRes.message}`;
+			return util.fade(blocklistResponse, 5000);
+		}
+	});
+
+	const blocklistDeleteForm = document.getElementById('blocklist-delete-form');
+	blocklistDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/blocklist/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: blocklistDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			blocklistDeleteForm.reset();
+
+			blocklistResponse.innerText = 'Blocklist entry successfully deleted!';
+			util.fade(blocklistResponse, 5000);
+
+			blocklist.splice(blocklist.findIndex(entry => entry.id === deleteRes.entry.id), 1);
+			return updateBlocklist(blocklist);
+		}
+		else {
+			blocklistResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(blocklistResponse, 5000);
+		}
+	});
+
+	/* ------ Accounts-panel Forms ------ */
+
+	const accountsAddForm = document.getElementById('accounts-add-form');
+	accountsAddForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < accountsAddForm.elements.length - 1; i++) {
+			const field = accountsAddForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const addRes = await fetch('/api/admin/accounts/add', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (addRes.code === 200) {
+			accountsAddForm.reset();
+
+			accountsResponse.innerText = 'Account successfully added!';
+			util.fade(accountsResponse, 5000);
+
+			accounts.push(addRes.account);
+			return updateAccounts(accounts);
+		}
+		else {
+			accountsResponse.innerText = `An Error occurred (Code ${addRes.code}): ${addRes.message}`;
+			return util.fade(accountsResponse, 5000);
+		}
+	});
+
+	const accountsModifyForm = document.getElementById('accounts-modify-form');
+	accountsModifyForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const data = {};
+
+		for (let i = 0; i < accountsModifyForm.elements.length - 1; i++) {
+			const field = accountsModifyForm.elements[i];
+			if (field.value !== '') data[field.name] = field.value;
+		} // Minus one of its length to take out the submit button
+
+		const modifyRes = await fetch('/api/admin/accounts/modify', {
+			method: 'PATCH',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify(data)
+		}).then(res => res.json());
+
+		if (modifyRes.code === 200) {
+			accountsModifyForm.reset();
+
+			accountsResponse.innerText = 'Account successfully modified!';
+			util.fade(accountsResponse, 5000);
+
+			accounts[accounts.findIndex(acc => acc.id === modifyRes.account.id)] = modifyRes.account;
+			return updateAccounts(accounts);
+		}
+		else {
+			accountsResponse.innerText = `An Error occurred (Code ${modifyRes.code}): ${modifyRes.message}`;
+			return util.fade(accountsResponse, 5000);
+		}
+	});
+
+	const accountsDeleteForm = document.getElementById('accounts-delete-form');
+	accountsDeleteForm.addEventListener('submit', async e => {
+		e.preventDefault();
+
+		const deleteRes = await fetch('/api/admin/accounts/delete', {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
+			},
+			body: JSON.stringify({ id: accountsDeleteForm[0].value })
+		}).then(res => res.json());
+
+		if (deleteRes.code === 200) {
+			accountsDeleteForm.reset();
+
+			accountsResponse.innerText = 'Account successfully deleted!';
+			util.fade(accountsResponse, 5000);
+
+			accounts.splice(accounts.findIndex(acc => acc.id === deleteRes.account.id), 1);
+			return updateAccounts(accounts);
+		}
+		else {
+			accountsResponse.innerText = `An Error occurred (Code ${deleteRes.code}): ${deleteRes.message}`;
+			return util.fade(accountsResponse, 5000);
+		}
+	});
+
+	/* ------ Audit-panel Forms ------ */
+
+	const auditFilterForm = document.getElementById('audit-filter-form');
+	auditFilterForm.addEventListener('submit', e => {
+		e.preventDefault();
+
+		auditFilters = {};
+		auditOffset = 0;
+
+		if (auditFilterForm.actor.value) auditFilters.actor = auditFilterForm.actor.value;
+		if (auditFilterForm.route.value) auditFilters.route = auditFilterForm.route.value;
+		if (auditFilterForm.from.value) auditFilters.from = new Date(`${auditFilterForm.from.value}T00:00:00`).getTime();
+		if (auditFilterForm.to.value) auditFilters.to = new Date(`${auditFilterForm.to.value}T23:59:59.999`).getTime();
+		// Dates are interpreted in local time and include the whole day
+
+		return updateAuditLog();
+	});
+
+	document.getElementById('audit-previous').addEventListener('click', () => {
+		auditOffset = Math.max(0, auditOffset - auditPageSize);
+		return updateAuditLog();
+	});
+
+	document.getElementById('audit-next').addEventListener('click', () => {
+		auditOffset += auditPageSize;
+		return updateAuditLog();
+	});
+
 	/* ------ Config-panel Forms ------ */
 
 	const updateIntervalForm = document.getElementById('update-interval-form');
@@ -301,8 +1277,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const intervalRes = await fetch('/api/admin/config/updateinterval', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -335,8 +1311,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const intervalRes = await fetch('/api/admin/config/responseinterval', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -369,8 +1345,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const connectionsRes = await fetch('/api/admin/config/connections', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -403,8 +1379,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const ratelimitRes = await fetch('/api/admin/config/ratelimit', {
 			method: 'PATCH',
 			headers: {
-				'Authorization': localStorage.getItem('token'),
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'X-CSRF-Token': account.csrfToken
 			},
 			body: JSON.stringify(data)
 		}).then(res => res.json());
@@ -415,7 +1391,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 			configResponse.innerText = 'Ratelimit successfully updated!';
 			util.fade(configResponse, 5000);
 
-			document.getElementById('rate-limit-current').innerHTML = `Current: ${data.ratelimit} | -1 to disable`;
+			document.getElementById('rate-limit-current').innerHTML = `Current: ${ratelimitRes.ratelimit}, burst ${ratelimitRes.burst} | -1 to disable`;
 		}
 		else {
 			configResponse.innerText = `An Error occurred (Code ${ratelimitRes.code}): ${ratelimitRes.message}`;
@@ -431,7 +1407,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const logoutRes = await fetch('/api/admin/logout', {
 			method: 'GET',
 			headers: {
-				Authorization: localStorage.getItem('token'),
+				'X-CSRF-Token': account.csrfToken
 			}
 		}).then(res => res.json());
 
@@ -1,6 +1,8 @@
-import { util, themes } from './extras.min.js';
+import { util, themesLoaded } from './extras.min.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
+	const themes = await themesLoaded;
+
 	function formatNumber(number) {
 		return number.toString().replace(/(\d)(?=(\d\d\d)+(?!\d))/g, '$1.');
 	}
@@ -44,7 +46,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 			const sourceName = sound.source.replace(/\s/g, '-').toLowerCase();
 
 			howlerList[sound.filename] = new Howl({
-				src: `/sounds/${sound.theme}/${sourceName}/${sound.filename}.mp3`
+				src: sound.formats.map(format => `/sounds/${sound.theme}/${sourceName}/${sound.filename}.${format}`)
+				// Howler plays the first format the browser supports
 			});
 		}
 
@@ -70,6 +73,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const ws = new WebSocket(wsAddress);
 
 	ws.addEventListener('open', event => {
+		ws.send(JSON.stringify({ type: 'subscribe', topics: ['counter', 'crazyMode', 'admin', 'notifications'] }));
+
 		ws.addEventListener('message', message => {
 			let data;
 
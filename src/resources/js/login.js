@@ -2,27 +2,33 @@ import { util } from './extras.min.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
 	document.getElementsByTagName('form')[0].addEventListener('submit', async e => {
-		const token = e.target[0].value;
+		e.preventDefault();
+
+		const username = e.target[0].value, password = e.target[1].value, codeField = e.target[2];
+		const credentials = codeField.value ? { username, password, code: codeField.value } : { username, password };
 
 		const authRes = await fetch('/api/login', {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json'
 			},
-			body: JSON.stringify({ token })
+			body: JSON.stringify(credentials)
 		}).then(res => res.json());
 
 		if (authRes.code === 200) {
-			localStorage.setItem('token', token);
 			return window.location.href = '/admin';
 		}
 		else {
 			const loginRes = document.getElementById('login-res');
 
+			if (authRes.name === 'Code required') {
+				codeField.hidden = false;
+				codeField.required = true;
+				codeField.focus();
+			} // Only accounts with two-factor authentication are asked for the code after their password
+
 			loginRes.innerText = `Error ${authRes.code}: ${authRes.message}`;
 			util.fade(loginRes, 2000, 0.1);
 		}
-
-		e.preventDefault();
 	});
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
-import { util, themes } from './extras.min.js';
+import { util, themesLoaded } from './extras.min.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
+	const themes = await themesLoaded;
+
 	function formatNumber(number) {
 		return number.toString().replace(/(\d)(?=(\d\d\d)+(?!\d))/g, '$1.');
 	}
@@ -61,6 +63,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const ws = new WebSocket(wsAddress);
 
 	ws.addEventListener('open', event => {
+		ws.send(JSON.stringify({ type: 'subscribe', topics: ['sounds', 'notifications'] }));
+
 		ws.addEventListener('message', message => {
 			let data;
 
@@ -1,8 +1,44 @@
-import { util, themes } from './extras.min.js';
+import { util, themesLoaded } from './extras.min.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
+	const themes = await themesLoaded;
+
 	let activatedSounds = [];
-	let howlerList = {};
+	let howlerList = {}, howlSources = {};
+	const selectedTags = new Set();
+	let tagMode = 'or';
+
+	function matchesTags(sound) {
+		if (!selectedTags.size) return true;
+
+		const matchingTags = [...selectedTags].filter(tag => sound.tags.includes(tag));
+		return tagMode === 'and' ? matchingTags.length === selectedTags.size : matchingTags.length > 0;
+	}
+
+	function updateTagFilter(sounds) {
+		const tagNames = [...new Set([].concat(...sounds.map(s => s.tags)))].sort();
+		[...selectedTags].filter(tag => !tagNames.includes(tag)).forEach(tag => selectedTags.delete(tag));
+		// Forget selected tags that no shown sound has anymore, as they'd hide everything in "all" mode without a way to deselect them
+
+		const tagButtons = document.getElementById('tag-buttons');
+		tagButtons.innerHTML = ''; // Reset to re-populate
+		document.getElementById('tag-filter').style.display = tagNames.length ? 'block' : 'none';
+
+		for (const tag of tagNames) {
+			const tagButton = document.createElement('button');
+			tagButton.innerText = tag;
+			if (selectedTags.has(tag)) tagButton.classList.add('selected');
+
+			tagButton.addEventListener('click', e => {
+				if (selectedTags.has(tag)) selectedTags.delete(tag);
+				else selectedTags.add(tag);
+
+				return loadSoundboard(allSounds, specialBg);
+			});
+
+			tagButtons.appendChild(tagButton);
+		}
+	}
 
 	function loadSoundboard(sounds, bg = null) {
 		sounds.forEach(s => {
@@ -19,7 +55,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 			.sort((a, b) => a.source === b.source ? a.displayname.localeCompare(b.displayname) : a.source.localeCompare(b.source));
 		// Sort primarily by season and secondarily alphabetically within seasons
 
+		updateTagFilter(activatedSounds.filter(s => s.displayname !== '' && s.source !== 'no-source'));
+
+		const previousHowls = howlerList, previousSources = howlSources;
 		howlerList = {};
+		howlSources = {};
+
+		for (const sound of activatedSounds) {
+			const sourceName = sound.source.replace(/\s/g, '-').toLowerCase();
+			const src = sound.formats.map(format => `/sounds/${sound.theme}/${sourceName}/${sound.filename}.${format}`);
+			// Howler plays the first format the browser supports
+
+			howlSources[sound.filename] = src.join();
+			howlerList[sound.filename] = previousSources[sound.filename] === howlSources[sound.filename] ? previousHowls[sound.filename] : new Howl({ src });
+		} // Sounds that stay loaded keep their Howl, so filtering by tags only rebuilds the buttons
+
+		Object.keys(previousHowls).filter(filename => howlerList[filename] !== previousHowls[filename]).forEach(filename => previousHowls[filename].unload());
+		// Howls of sounds that were removed or moved are unloaded to free their audio
 
 		const soundboard = document.getElementById('soundboard');
 		soundboard.innerHTML = ''; // Reset to re-populate
@@ -37,12 +89,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 		for (const sound of activatedSounds) {
 			const sourceName = sound.source.replace(/\s/g, '-').toLowerCase();
 
-			howlerList[sound.filename] = new Howl({
-				src: `/sounds/${sound.theme}/${sourceName}/${sound.filename}.mp3`
-			});
-
-			if (sound.displayname === '' || sound.source === 'no-source') continue;
-			// Don't make button for those without displayname or source
+			if (sound.displayname === '' || sound.source === 'no-source' || !matchesTags(sound)) continue;
+			// Don't make button for those without displayname or source or those filtered out by tags, they still get loaded for other sounds
 
 			if (document.getElementById(`${sourceName}-buttons`)) {
 				// Check if buttons wrapper for source exists and if not create it
@@ -86,7 +134,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 				}
 
 				document.getElementById(`pa-${sourceName}`).addEventListener('click', e => {
-					activatedSounds.filter(snd => snd.source === sound.source).forEach(snd => {
+					activatedSounds.filter(snd => snd.source === sound.source && matchesTags(snd)).forEach(snd => {
 						howlerList[snd.filename].play();
 
 						return ws.send(JSON.stringify({ type: 'sbClick', soundFilename: snd.filename }));
@@ -125,6 +173,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 			});
 		}
 
+		if (!soundboard.children.length) {
+			const warning = document.createElement('h1');
+			warning.id = 'warning';
+			warning.innerText = 'No sounds with the selected tags.';
+
+			soundboard.appendChild(warning);
+		} // Only possible through the tag filter, the case of no sounds at all is handled above
+
 		if (document.getElementById('loading')) document.getElementById('loading').remove();
 	}
 
@@ -139,6 +195,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const ws = new WebSocket(wsAddress);
 
 	ws.addEventListener('open', event => {
+		ws.send(JSON.stringify({ type: 'subscribe', topics: ['crazyMode', 'admin', 'notifications'] }));
+
 		ws.addEventListener('message', message => {
 			let data;
 
@@ -177,6 +235,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 		});
 	});
 
+	document.getElementById('tag-mode').addEventListener('click', e => {
+		tagMode = tagMode === 'or' ? 'and' : 'or';
+		e.target.innerText = tagMode === 'or' ? 'Matching any tag' : 'Matching all tags';
+
+		loadSoundboard(allSounds, specialBg);
+	});
+
 	document.getElementById('bg-select').addEventListener('change', e => {
 		const { value } = e.target;
 		currentBackground = value;
@@ -74,6 +74,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const ws = new WebSocket(wsAddress);
 
 	ws.addEventListener('open', event => {
+		ws.send(JSON.stringify({ type: 'subscribe', topics: ['counter', 'notifications'] }));
+
 		ws.addEventListener('message', message => {
 			let data;
 
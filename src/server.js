@@ -6,22 +6,40 @@ const { Database } = require('sqlite3');
 const { scheduleJob } = require('node-schedule');
 const ws = require('ws');
 const dateFns = require('date-fns');
-const { join } = require('path');
-const { readdirSync, unlink, rename, copyFile, existsSync, mkdir, writeFile } = require('fs');
+const { dirname, join } = require('path');
+const { readdirSync, readdir, readFile, stat, unlink, rename, copyFile, mkdir, rm, writeFile } = require('fs');
+const { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } = require('crypto');
 const Logger = require('./resources/js/Logger');
 const config = require('./config.json');
 const { adminToken: defaultToken, sessionSecret: defaultSecret } = require('./config.sample.json');
 const { version } = require('../package.json');
 
 let counter = 0, daily = 0, weekly = 0, monthly = 0, yearly = 0, average = 0, fetchedDaysAmount = 1;
-let sounds = [], statistics = [], chartData = [], milestones = [];
+let sounds = [], trashedSounds = [], soundAliases = [], tags = [], themes = [], statistics = [], soundStatistics = [], milestones = [], milestoneRules = [];
+let seasonalEvents = [], blocklist = [], admins = [], apiKeys = [];
+let pastChartData = []; // Monthly totals of finished months, the current month's total is the monthly counter
+const changedSoundStatistics = new Set();
 
 let databaseUpdateJob;
 
+const bootTimestamp = Date.now().toString(36); // Keeps cache versions from colliding across restarts
+const cacheVersions = {};
+['counter', 'sounds', 'tags', 'themes', 'backgrounds', 'statistics', 'soundStatistics', 'milestones']
+	.forEach(cache => cacheVersions[cache] = { version: 0, modified: new Date() });
+
 let socketConnections = [];
+const ratelimitBuckets = new Map();
+const loginFailures = new Map(), globalLoginFailures = { failures: 0, lastFailure: 0 };
+const loginLockoutBase = 1000 * 30, loginLockoutMax = 1000 * 60 * 60 * 24, loginFailureExpiry = 1000 * 60 * 60;
+const globalLoginDelayStep = 250, globalLoginDelayMax = 1000 * 5;
+const sessionLifetime = 1000 * 60 * 60 * 24; // Admin sessions unused for this long are logged out
+const totpPeriod = 30, totpDigits = 6, recoveryCodeAmount = 10;
 let queuedMainClicks = false, queuedSoundboardClicks = {};
 let mainClickResponseInterval, soundboardClickResponseInterval;
 
+const eventStreams = new Set(), eventHistory = [], eventHistoryLength = 250;
+let latestEventID = 0;
+
 // On-boot database interaction
 const db = new Database(config.databasePath, () => {
 	db.exec('PRAGMA foreign_keys = ON;', pragmaErr => {
@@ -42,9 +60,72 @@ db.serialize(() => {
 
 	db.all('SELECT * FROM sounds', [], (selectErr, rows) => {
 		if (!rows) return Logger.warn('No sounds found.');
-		sounds = rows;
+		rows.forEach(row => Object.assign(row, { formats: row.formats.split(','), tags: [] }));
+		sounds = rows.filter(row => row.deleted_at === null);
+		trashedSounds = rows.filter(row => row.deleted_at !== null);
+		sounds.forEach(sound => delete sound.deleted_at); // Only of interest for trashed sounds
+		Logger.info('Sounds & rankings loaded.');
+
+		return scanSounds(({ orphanedFiles, missingFiles }) => {
+			if (orphanedFiles.length) {
+				Logger.warn(`${orphanedFiles.length} sound files without database entries found: ${orphanedFiles.map(file => file.path).join(', ')}`);
+				Logger.warn('They can be imported via the admin panel or the "/api/admin/sounds/scan" endpoint.');
+			}
+			if (missingFiles.length) {
+				Logger.warn(`${missingFiles.length} sounds without files found: ${missingFiles.map(sound => sound.filename).join(', ')}`);
+			}
+
+			return fillSoundMetadata(sounds.filter(sound => sound.duration === null && !missingFiles.includes(sound)));
+		});
+	});
+
+	db.all('SELECT * FROM tags', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No tags found.');
+		tags = rows;
+
+		return Logger.info('Tags loaded.');
+	});
+
+	db.all('SELECT * FROM sound_tags', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No sound tags found.');
+		sounds.concat(trashedSounds).forEach(sound => setSoundTags(sound, rows.filter(row => row.sound_id === sound.id).map(row => row.tag_id)));
+
+		return Logger.info('Sound tags loaded.');
+	}); // Runs after sounds and tags were loaded as all on-boot queries are serialized
+
+	db.all('SELECT * FROM themes', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No themes found.');
+		themes = rows.map(row => Object.assign(row, { backgrounds: [] }));
+
+		return Logger.info('Themes loaded.');
+	});
+
+	db.all('SELECT * FROM theme_backgrounds', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No theme backgrounds found.');
+		rows.forEach(row => themes.find(theme => theme.id === row.theme_id).backgrounds.push(row));
 
-		return Logger.info('Sounds & rankings loaded.');
+		return Logger.info('Theme backgrounds loaded.');
+	}); // Runs after themes were loaded as all on-boot queries are serialized
+
+	db.all('SELECT * FROM seasonal_events', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No seasonal events found.');
+		seasonalEvents = rows.map(row => Object.assign(row, { backgrounds: [] }));
+
+		return Logger.info('Seasonal events loaded.');
+	});
+
+	db.all('SELECT * FROM seasonal_backgrounds', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No seasonal backgrounds found.');
+		rows.forEach(row => seasonalEvents.find(event => event.id === row.event_id).backgrounds.push(row));
+
+		return Logger.info('Seasonal backgrounds loaded.');
+	});
+
+	db.all('SELECT * FROM sound_aliases', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No sound aliases found.');
+		soundAliases = rows;
+
+		return Logger.info('Sound aliases loaded.');
 	});
 
 	db.run('INSERT OR IGNORE INTO statistics ( date, count ) VALUES ( date( \'now\', \'localtime\'), 0 )');
@@ -69,22 +150,75 @@ db.serialize(() => {
 		average = Math.round(monthly / thisMonth.length);
 
 		statistics = rows;
+		updatePastChartData();
 		return Logger.info('Statistics loaded.');
 	});
 
-	db.all('SELECT substr(date, 1, 7) AS month, sum(count) AS count FROM statistics GROUP BY month ORDER BY month ASC', [], (selectErr, rows) => {
-		if (!rows) return Logger.warn('No chart data found.');
-		chartData = rows;
+	db.all('SELECT * FROM sound_statistics', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No sound statistics found.');
+		soundStatistics = rows;
 
-		return Logger.info('Chart data loaded.');
+		return Logger.info('Sound statistics loaded.');
 	});
 
+	if (config.persistRatelimits) {
+		db.all('SELECT * FROM ratelimits', [], (selectErr, rows) => {
+			if (!rows) return Logger.warn('No ratelimits found.');
+			rows.forEach(row => ratelimitBuckets.set(row.ip, { tokens: row.tokens, updated: row.updated, changed: false }));
+
+			return Logger.info('Ratelimits loaded.');
+		});
+	}
+
 	db.all('SELECT * FROM milestones', [], (selectErr, rows) => {
 		if (!rows) return Logger.warn('No milestones found.');
 		milestones = rows;
 
 		return Logger.info('Milestones loaded.');
 	});
+
+	db.all('SELECT * FROM milestone_rules', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No milestone rules found.');
+		milestoneRules = rows;
+
+		return Logger.info('Milestone rules loaded.');
+	});
+
+	db.all('SELECT * FROM blocklist', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No blocklist entries found.');
+		blocklist = rows;
+
+		return Logger.info('Blocklist loaded.');
+	});
+
+	db.all('SELECT * FROM admins', [], (selectErr, rows) => {
+		if (rows && rows.length) {
+			admins = rows;
+			return Logger.info('Admin accounts loaded.');
+		}
+
+		// Without any accounts nobody could log in, so an initial owner account is created from the configured admin token
+		return hashPassword(config.adminToken, (hashErr, password) => {
+			if (hashErr) return Logger.error('Hashing the initial admin password failed, no admin accounts available.');
+
+			const owner = { id: 1, username: 'admin', password, role: 'owner', created: Date.now() };
+
+			db.run('INSERT INTO admins ( id, username, password, role, created ) VALUES ( ?, ?, ?, ?, ? )', ...Object.values(owner), insertErr => {
+				if (insertErr) return Logger.error('An error occurred creating the initial admin account.');
+			});
+			admins.push(owner);
+
+			Logger.warn('No admin accounts found, created the owner account \'admin\' with the admin token as its password.');
+			if (config.adminToken === defaultToken) Logger.warn('Make sure to change this password, as the default admin token is publicly known.');
+		});
+	});
+
+	db.all('SELECT * FROM api_keys', [], (selectErr, rows) => {
+		if (!rows) return Logger.warn('No API keys found.');
+		apiKeys = rows;
+
+		return Logger.info('API keys loaded.');
+	});
 });
 
 function updateDatabase() {
@@ -97,6 +231,12 @@ function updateDatabase() {
 		for (const sound of sounds) {
 			db.run('UPDATE sounds SET count = ? WHERE id = ?', sound.count, sound.id);
 		}
+
+		for (const entry of changedSoundStatistics) {
+			db.run('INSERT OR IGNORE INTO sound_statistics ( sound_id, date, count ) VALUES ( ?, ?, ? )', entry.sound_id, entry.date, entry.count);
+			db.run('UPDATE sound_statistics SET count = ? WHERE sound_id = ? AND date = ?', entry.count, entry.sound_id, entry.date);
+		}
+		changedSoundStatistics.clear();
 	});
 }
 
@@ -129,225 +269,510 @@ const pages = [
 	}
 ];
 
+const sortableSoundKeys = ['id', 'filename', 'displayname', 'source', 'count', 'theme'];
+const soundsPath = './resources/sounds/';
+const themesPath = './resources/themes/';
+const themeFileNames = { stylesheet: 'style.css', sidebar: 'sidebar.svg' };
+const maxAssetFileSize = 5120; // In KB, backgrounds are the largest files and rarely exceed this
+const sqliteVariableLimit = 999; // The lowest limit of bound variables per statement SQLite builds ship with
+const trashPath = './trash/'; // Outside of the statically served folders, so trashed sounds can't be played anymore
+const soundFormats = ['opus', 'ogg', 'm4a', 'mp3']; // In order of preference, clients play the first one their browser supports
+
+const mpegBitrates = [
+	[
+		[0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+		[0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+		[0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+	],
+	[
+		[0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+		[0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+	]
+]; // In kbit/s for MPEG-1 layer 1-3 and MPEG-2/2.5 layer 1 and 2-3 respectively
+const mpegSampleRates = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
 function cleanString(string) {
 	return string.replace(/\s/g, '-').toLowerCase();
 }
 
-function updateConfigFile() {
-	writeFile(join(__dirname, 'config.json'), JSON.stringify(config, null, '\t'), err => {
-		if (err) {
-			Logger.error('An error occurred updating the configuration file.');
-		}
-		else {
-			Logger.info('Configuration file updated.');
+function inferSoundSource(folder) {
+	const knownSound = sounds.find(sound => cleanString(sound.source) === folder);
+	if (knownSound) return knownSound.source; // Keeps e.g. 'Season 1' for the 'season-1' folder
+
+	return folder === 'no-source' ? folder : `${folder.charAt(0).toUpperCase()}${folder.slice(1).replace(/-/g, ' ')}`;
+}
+
+function setSoundTags(sound, tagIDs) {
+	sound.tags = tags.filter(tag => tagIDs.includes(tag.id)).map(tag => tag.name).sort();
+}
+
+function parseTagNames(value) {
+	const names = Array.isArray(value) ? value.map(name => name.toString()) : value.toString().split(',');
+	return [...new Set(names.map(name => name.trim().toLowerCase()).filter(name => name))];
+}
+
+function findSound(filename) {
+	const alias = soundAliases.find(entry => entry.filename === filename);
+
+	return sounds.find(sound => sound.filename === filename) || (alias && sounds.find(sound => sound.id === alias.sound_id));
+} // Current filenames take precedence over aliases, an alias may have been given to a new sound since
+
+function saveSoundAlias(filename, soundID) {
+	const query = db.prepare('INSERT OR REPLACE INTO sound_aliases ( filename, sound_id ) VALUES ( ?, ? )');
+
+	query.run(filename, soundID, insertErr => {
+		if (insertErr) {
+			Logger.warn(`An error occurred saving '${filename}' as an alias, links using it will not be redirected.`);
+			return Logger.error(insertErr);
 		}
+
+		soundAliases = soundAliases.filter(entry => entry.filename !== filename).concat({ filename, sound_id: soundID });
+		return Logger.info(`Previous filename '${filename}' saved as an alias.`);
 	});
+} // Replaces older aliases of the same name, a filename always refers to the sound that was last known by it
+
+function getSeasonalBackgrounds() {
+	return [].concat(...seasonalEvents.map(event => event.backgrounds));
 }
 
-function manageConnections(connectionLimit, ratelimit) {
-	if (connectionLimit > 0 || ratelimit > 0) {
-		if (socketConnections.length === 0) {
-			// Create data
-			socketServer.clients.forEach(client => {
-				let user = socketConnections.find(u => u.ip === client.realIP);
-				if (!user) {
-					user = {
-						ip: client.realIP,
-						connections: 1,
-						ratelimitClicks: 0,
-						ratelimitInterval: null
-					};
-
-					if (ratelimit > 0) {
-						user.ratelimitInterval = setInterval(() => {
-							if (user.connections === 0) {
-								// If user is no longer connected, clear their ratelimit interval and remove their info
-								clearInterval(user.ratelimitInterval);
-								socketConnections.splice(socketConnections.findIndex(u => u.ip === user.ip), 1);
-							}
-							user.ratelimitClicks = 0;
-						}, 1000 * 60);
-					}
+function isValidSeasonalDate(date) {
+	return /^\d{2}-\d{2}$/.test(date) && dateFns.isValid(dateFns.parse(`2000-${date}`, 'yyyy-MM-dd', new Date()));
+} // Checked against a leap year, so yearly events may start or end on the 29th of February
+
+function isSeasonalEventActive(event, date = new Date()) {
+	const day = dateFns.format(date, 'MM-dd'), year = date.getFullYear();
+	// Dates are stored as MM-DD, so they can be compared as strings
+
+	if (event.start_date <= event.end_date) {
+		return day >= event.start_date && day <= event.end_date && (event.year === null || event.year === year);
+	}
+
+	// Events that end before they start go from one year into the next, their year is the one they start in
+	if (day >= event.start_date) return event.year === null || event.year === year;
+	if (day <= event.end_date) return event.year === null || event.year === year - 1;
+	return false;
+}
+
+function getPurgeTime(sound) {
+	const retention = config.trashRetention || 30; // Configurations from before the trash existed still get the default retention
+	return retention > 0 ? sound.deleted_at + retention * 24 * 60 * 60 * 1000 : null;
+}
+
+function moveSoundFiles(sound, toTrash, callback) {
+	const folderPath = toTrash ? trashPath : join(soundsPath, cleanString(sound.theme), cleanString(sound.source));
+	const movedFormats = [];
+	let remainingFiles = sound.formats.length, failedMove = false;
+
+	const getFilePaths = format => {
+		const soundPath = join(soundsPath, getSoundPath(sound, format)), trashedPath = join(trashPath, `${sound.id}.${format}`);
+		// Trashed files are named after their sound's ID, so sounds with the same filename can't overwrite each other
 
-					socketConnections.push(user);
+		return toTrash ? [soundPath, trashedPath] : [trashedPath, soundPath];
+	};
+
+	const revertMovedFiles = () => {
+		let remainingReverts = movedFormats.length;
+		if (!remainingReverts) return callback(true);
+
+		return movedFormats.forEach(format => {
+			const [fromPath, toPath] = getFilePaths(format);
+
+			rename(toPath, fromPath, revertErr => {
+				remainingReverts--;
+
+				if (revertErr) {
+					Logger.error(`An error occurred moving back the ${format} file of '${sound.filename}', please move it manually.`);
+					Logger.error(revertErr);
 				}
-				else {
-					if (connectionLimit > 0) {
-						if (user.connections >= connectionLimit) client.close(); // Close existing excess connections
-						else user.connections++;
-					}
+
+				if (!remainingReverts) return callback(true);
+			});
+		});
+	}; // Files that were already moved are put back, so a failed move leaves every file where it was
+
+	return mkdir(folderPath, { recursive: true }, createErr => {
+		if (createErr) {
+			Logger.error(`An error occurred creating the folder '${folderPath}'.`);
+			Logger.error(createErr);
+			return callback(true);
+		}
+
+		return sound.formats.forEach(format => {
+			rename(...getFilePaths(format), renameErr => {
+				remainingFiles--;
+
+				if (renameErr) {
+					Logger.error(`An error occurred moving the ${format} file of '${sound.filename}' ${toTrash ? 'to' : 'out of'} the trash.`);
+					Logger.error(renameErr);
+					failedMove = true;
 				}
+				else movedFormats.push(format);
+
+				if (remainingFiles) return; // Finished once every format's file was handled
+				return failedMove ? revertMovedFiles() : callback(false);
 			});
+		});
+	});
+}
+
+function purgeSounds(soundsToPurge, callback) {
+	const soundIDs = soundsToPurge.map(sound => sound.id);
+
+	return db.run(`DELETE FROM sounds WHERE id IN ( ${soundIDs.map(() => '?').join(', ')} )`, soundIDs, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entries, purge aborted.');
+			Logger.error(deleteErr);
+			return callback(deleteErr);
 		}
-		else {
-			// Modify existing data
-			if (ratelimit > 0) {
-				socketConnections.forEach(user => {
-					clearInterval(user.ratelimitInterval); // Prevent duplication
-					user.ratelimitInterval = setInterval(() => {
-						if (user.connections === 0) {
-							// If user is no longer connected, clear their ratelimit interval and remove their info
-							clearInterval(user.ratelimitInterval);
-							socketConnections.splice(socketConnections.findIndex(u => u.ip === user.ip), 1);
-						}
-						user.ratelimitClicks = 0;
-					}, 1000 * 60);
-				});
-			}
-			if (ratelimit === -1) {
-				socketConnections.forEach(user => {
-					clearInterval(user.ratelimitInterval);
-				});
-			}
+		Logger.info('(1/3): Database entries successfully deleted.');
+
+		trashedSounds = trashedSounds.filter(sound => !soundIDs.includes(sound.id));
+		soundStatistics = soundStatistics.filter(entry => !soundIDs.includes(entry.sound_id));
+		soundAliases = soundAliases.filter(entry => !soundIDs.includes(entry.sound_id));
+		milestones.filter(milestone => soundIDs.includes(milestone.sound_id)).forEach(milestone => milestone.sound_id = null);
+		updateCacheVersion('soundStatistics', 'milestones');
+		// Database rows are removed or unlinked by the foreign keys
+		Logger.info('(2/3): Sound cache entries successfully deleted.');
+
+		soundsToPurge.forEach(sound => sound.formats.forEach(format => {
+			unlink(join(trashPath, `${sound.id}.${format}`), unlinkErr => {
+				if (unlinkErr) {
+					Logger.warn(`An error occurred deleting the trashed ${format} file of '${sound.filename}', please delete manually.`);
+					return Logger.error(unlinkErr);
+				}
+				Logger.info(`(3/3): Trashed ${format} file of '${sound.filename}' successfully deleted.`);
+			});
+		}));
+
+		return callback(null);
+	});
+}
+
+function getSoundPath(sound, format) {
+	return join(cleanString(sound.theme), cleanString(sound.source), `${sound.filename}.${format}`);
+}
+
+function scanSounds(callback) {
+	const readFolder = (path, done) => readdir(path, (readErr, names) => {
+		if (readErr) {
+			Logger.warn(`The sound folder '${path}' could not be read, its files were skipped.`);
+			return done([]);
+		} // A missing or unreadable folder must not keep the website from starting
+
+		const entries = [];
+		let remainingEntries = names.length;
+		if (!remainingEntries) return done(entries);
+
+		return names.forEach((name, index) => {
+			stat(join(path, name), (statErr, stats) => {
+				remainingEntries--;
+				if (!statErr) entries[index] = { name, isDirectory: stats.isDirectory() }; // Broken links can't be read and are left out
+
+				if (!remainingEntries) return done(entries.filter(entry => entry));
+			});
+		});
+	});
+	const files = [];
+
+	const readSoundFolder = (folders, done) => readFolder(join(soundsPath, ...folders), entries => {
+		if (folders.length === 2) {
+			const [theme, source] = folders;
+
+			entries.filter(entry => !entry.isDirectory).forEach(({ name: file }) => {
+				const format = file.slice(file.lastIndexOf('.') + 1);
+				if (!file.includes('.') || !soundFormats.includes(format)) return;
+
+				files.push({ filename: file.slice(0, -format.length - 1), format, theme, source: inferSoundSource(source), path: join(theme, source, file) });
+			});
+
+			return done();
 		}
+
+		const subfolders = entries.filter(entry => entry.isDirectory);
+		const readSubfolder = index => {
+			if (index === subfolders.length) return done();
+			return readSoundFolder(folders.concat(subfolders[index].name), () => readSubfolder(index + 1));
+		}; // One after another, so files are always listed in the same order
+
+		return readSubfolder(0);
+	}); // Sounds are stored as <theme>/<source>/<filename>.<format>, one file per available format
+
+	return readSoundFolder([], () => {
+		const soundPaths = [].concat(...sounds.map(sound => sound.formats.map(format => getSoundPath(sound, format))));
+		const filePaths = files.map(file => file.path);
+
+		return callback({
+			orphanedFiles: files.filter(file => !soundPaths.includes(file.path)).map(file => {
+				return Object.assign(file, { importable: !sounds.concat(trashedSounds).some(sound => sound.filename === file.filename) });
+			}), // Filenames are unique across all themes and sources and stay taken while in the trash, so those already in use can't be imported
+			missingFiles: sounds.filter(sound => sound.formats.some(format => !filePaths.includes(getSoundPath(sound, format))))
+		});
+	});
+}
+
+function parseMPEGFrameHeader(buffer, offset) {
+	if (offset + 4 > buffer.length) return null;
+
+	const header = buffer.readUInt32BE(offset);
+	if (header >>> 21 !== 0x7ff) return null; // Every frame starts with 11 set sync bits
+
+	const versionBits = header >>> 19 & 3, layerBits = header >>> 17 & 3, bitrateIndex = header >>> 12 & 15, sampleRateIndex = header >>> 10 & 3;
+	if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+	// Reserved values, free format bitrates aren't supported as their frame length can't be calculated
+
+	const mpegVersion = [2.5, null, 2, 1][versionBits], layer = 4 - layerBits;
+	const bitrate = mpegBitrates[mpegVersion === 1 ? 0 : 1][Math.min(layer, mpegVersion === 1 ? 3 : 2) - 1][bitrateIndex] * 1000;
+	const sampleRate = mpegSampleRates[mpegVersion][sampleRateIndex];
+	const samples = layer === 1 ? 384 : layer === 3 && mpegVersion !== 1 ? 576 : 1152;
+	const padding = header >>> 9 & 1;
+
+	return {
+		mpegVersion,
+		bitrate,
+		sampleRate,
+		samples,
+		mono: (header >>> 6 & 3) === 3,
+		length: layer === 1 ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4 : Math.floor(samples / 8 * bitrate / sampleRate) + padding
+	};
+}
+
+function readMP3Metadata(buffer) { // eslint-disable-line complexity
+	let offset = 0;
+
+	if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+		offset = 10 + ((buffer[6] & 0x7f) << 21 | (buffer[7] & 0x7f) << 14 | (buffer[8] & 0x7f) << 7 | buffer[9] & 0x7f);
+		if (buffer[5] & 0x10) offset += 10; // Footer
+	} // Skip ID3v2 tags, their size is stored with 7 bits per byte
+
+	let frame = null;
+	const searchEnd = Math.min(buffer.length, offset + 1024 * 64);
+
+	for (; offset < searchEnd; offset++) {
+		frame = parseMPEGFrameHeader(buffer, offset);
+		if (frame && (offset + frame.length === buffer.length || parseMPEGFrameHeader(buffer, offset + frame.length))) break;
+		frame = null;
+	} // Only a header directly followed by another one counts, so random data resembling a header isn't mistaken for audio
+
+	if (!frame) return null;
+
+	const hasID3v1Tag = buffer.length >= 128 && buffer.toString('latin1', buffer.length - 128, buffer.length - 125) === 'TAG';
+	const audioBytes = (hasID3v1Tag ? buffer.length - 128 : buffer.length) - offset;
+	const xingOffset = offset + 4 + (frame.mpegVersion === 1 ? frame.mono ? 17 : 32 : frame.mono ? 9 : 17); // Placed after the side information
+	const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+	let frameCount = null;
+
+	// VBR files state their amount of frames in the first one, CBR files' durations follow from their size
+	if (['Xing', 'Info'].includes(xingTag) && xingOffset + 12 <= buffer.length && buffer.readUInt32BE(xingOffset + 4) & 1) {
+		frameCount = buffer.readUInt32BE(xingOffset + 8);
 	}
-	else {
-		// Clear data
-		socketConnections.forEach(c => clearInterval(c.ratelimitInterval));
-		socketConnections = [];
+	else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && offset + 54 <= buffer.length) {
+		frameCount = buffer.readUInt32BE(offset + 50);
 	}
+
+	const duration = frameCount ? frameCount * frame.samples / frame.sampleRate : audioBytes * 8 / frame.bitrate;
+
+	return {
+		duration: Math.round(duration * 1000) / 1000,
+		bitrate: frameCount ? Math.round(audioBytes * 8 / duration / 1000) : frame.bitrate / 1000,
+		sample_rate: frame.sampleRate
+	};
 }
 
-readdirSync(pagePath).filter(f => f.endsWith('.html')).forEach(file => {
-	const pageName = file.slice(0, -5).toLowerCase(); // -5 for cutting '.html'
+function readOggMetadata(buffer) {
+	if (buffer.length < 28 || buffer.toString('latin1', 0, 4) !== 'OggS') return null;
 
-	pages.push({
-		name: file,
-		path: join(pagePath, file),
-		route: [`/${pageName}`, `/${pageName}.html`]
-	});
+	const dataStart = 27 + buffer[26]; // After the page header and its segment table
+	const isOpus = buffer.toString('latin1', dataStart, dataStart + 8) === 'OpusHead';
+	const isVorbis = buffer[dataStart] === 1 && buffer.toString('latin1', dataStart + 1, dataStart + 7) === 'vorbis';
+	if ((!isOpus && !isVorbis) || dataStart + 16 > buffer.length) return null;
 
-	if (pageName === 'index') pages[pages.length - 1].route.push('/');
-	// Last array item because during current iteration it will be the last (adds root-dir route for index)
-});
+	const serialNumber = buffer.readUInt32LE(14);
+	let lastPage = buffer.lastIndexOf('OggS');
 
-server.use(helmet({
-	hsts: false // HSTS sent via nginx
-}));
-if (config.proxy) server.set('trust proxy', true);
-server.use(session({
-	secret: config.sessionSecret,
-	resave: false,
-	saveUninitialized: false,
-	cookie: { secure: 'auto' },
-	unset: 'destroy'
-}));
-server.use(express.static('./resources'));
+	while (lastPage > 0 && (lastPage + 27 > buffer.length || buffer.readUInt32LE(lastPage + 14) !== serialNumber)) {
+		lastPage = buffer.lastIndexOf('OggS', lastPage - 1);
+	} // The last page of the audio stream holds the total amount of samples as its granule position
 
-const apiRouter = express.Router();
+	// Opus always decodes at 48 kHz and states how many samples at the start are to be skipped
+	const sampleRate = isOpus ? 48000 : buffer.readUInt32LE(dataStart + 12);
+	const samples = buffer.readUInt32LE(lastPage + 6) + buffer.readUInt32LE(lastPage + 10) * 2 ** 32 - (isOpus ? buffer.readUInt16LE(dataStart + 10) : 0);
+	if (!sampleRate || samples <= 0) return null;
 
-apiRouter.use(express.urlencoded({ extended: true }));
-apiRouter.use(express.json());
+	const duration = samples / sampleRate;
 
-apiRouter.all('/*', (req, res, next) => {
-	const apiEndpoints = apiRouter.stack.filter(r => r.route).map(r => r.route.path);
+	return {
+		duration: Math.round(duration * 1000) / 1000,
+		bitrate: Math.round(buffer.length * 8 / duration / 1000),
+		sample_rate: sampleRate
+	};
+}
 
-	if (!apiEndpoints.includes(req.path)) return res.status(404).json({ code: 404, name: 'Invalid route', message: 'Endpoint not found.' });
-	else return next();
-});
+function getMP4Boxes(buffer, start, end) {
+	const boxes = [];
 
-apiRouter.get('/', (req, res) => {
-	return res.json({ code: 200, message: 'You have reached the megumin.love API.' });
-});
+	for (let offset = start; offset + 8 <= end;) {
+		let size = buffer.readUInt32BE(offset), headerSize = 8;
 
-apiRouter.get('/meta', (req, res) => {
-	return res.json({ port: config.port, version });
-});
+		if (size === 1 && offset + 16 <= end) {
+			size = buffer.readUInt32BE(offset + 8) * 2 ** 32 + buffer.readUInt32BE(offset + 12);
+			headerSize = 16;
+		} // 64-bit box size
+		else if (size === 0) size = end - offset; // Box reaches until the end of the file
 
-apiRouter.get('/counter', (req, res) => {
-	return res.json({ counter });
-});
+		if (size < headerSize || offset + size > end) break;
 
-apiRouter.get('/themes', (req, res) => {
-	const themes = [...new Set(sounds.map(s => s.theme))];
-	return res.json(themes);
-});
+		boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + headerSize, end: offset + size });
+		offset += size;
+	}
 
-apiRouter.get('/sounds', (req, res) => { // eslint-disable-line complexity
-	let requestedSounds = sounds;
+	return boxes;
+}
 
-	if (Object.keys(req.query).length) {
-		const { theme, source } = req.query;
-		const [equals, over, under] = [parseInt(req.query.equals), parseInt(req.query.over), parseInt(req.query.under)];
+function readMP4Metadata(buffer) {
+	if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
 
-		if ((req.query.equals && isNaN(equals)) || (req.query.over && isNaN(over)) || (req.query.under && isNaN(under))) {
-			// Check if the param was initially provided and if the input wasn't a number
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' });
-		}
+	const findBox = (parent, type) => parent && getMP4Boxes(buffer, parent.start, parent.end).find(box => box.type === type);
+	const movie = findBox({ start: 0, end: buffer.length }, 'moov');
+	if (!movie) return null;
 
-		if ((over && under) && over > under) {
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' });
-		}
+	const audioMedia = getMP4Boxes(buffer, movie.start, movie.end).filter(box => box.type === 'trak').map(track => findBox(track, 'mdia')).find(media => {
+		const handler = findBox(media, 'hdlr');
+		return handler && buffer.toString('latin1', handler.start + 8, handler.start + 12) === 'soun';
+	}); // Only the first audio track is of interest, m4a files usually contain no other tracks anyway
 
-		// Theme filtering
-		if (theme) requestedSounds = requestedSounds.filter(sound => {
-			if (!sound.theme && theme === 'megumin') return true; // Default sounds have no theme
-			else return sound.theme === theme;
+	const mediaHeader = findBox(audioMedia, 'mdhd');
+	const isVersion1 = mediaHeader && buffer[mediaHeader.start] === 1; // Version 1 headers use 64-bit times
+	if (!mediaHeader || mediaHeader.start + (isVersion1 ? 36 : 24) > mediaHeader.end) return null;
+
+	const timescale = buffer.readUInt32BE(mediaHeader.start + (isVersion1 ? 20 : 12));
+	const length = isVersion1
+		? buffer.readUInt32BE(mediaHeader.start + 24) * 2 ** 32 + buffer.readUInt32BE(mediaHeader.start + 28)
+		: buffer.readUInt32BE(mediaHeader.start + 16);
+	if (!timescale || !length) return null;
+
+	const duration = length / timescale; // Audio tracks count their time in samples
+
+	return {
+		duration: Math.round(duration * 1000) / 1000,
+		bitrate: Math.round(buffer.length * 8 / duration / 1000),
+		sample_rate: timescale
+	};
+}
+
+function getSoundFormat(buffer) {
+	if (buffer.toString('latin1', 0, 4) === 'OggS') {
+		return buffer.length > 35 && buffer.toString('latin1', 27 + buffer[26], 35 + buffer[26]) === 'OpusHead' ? 'opus' : 'ogg';
+	}
+	if (buffer.toString('latin1', 4, 8) === 'ftyp') return 'm4a';
+
+	return 'mp3'; // Has no reliable signature, whether it actually is one is up to the frame parsing
+}
+
+function readSoundMetadata(buffer) {
+	const readers = { mp3: readMP3Metadata, ogg: readOggMetadata, opus: readOggMetadata, m4a: readMP4Metadata };
+
+	return readers[getSoundFormat(buffer)](buffer);
+}
+
+function readSoundFiles(paths, callback) {
+	const files = [];
+
+	const readNext = () => {
+		if (files.length === paths.length) return callback(files);
+		if (!paths[files.length]) {
+			files.push({ format: null, metadata: null });
+			return readNext();
+		} // Files without a path are skipped
+
+		return readFile(paths[files.length], (readErr, buffer) => {
+			files.push(readErr ? { format: null, metadata: null } : { format: getSoundFormat(buffer), metadata: readSoundMetadata(buffer) });
+			return readNext();
 		});
+	};
 
-		// Source filtering
-		if (source) requestedSounds = requestedSounds.filter(sound => {
-			if (sound.source === 'no-source') return false;
-			else return sound.source.toLowerCase() === source.toLowerCase();
+	return readNext();
+} // One file after another, so only a single one is held in memory and the event loop isn't blocked like by synchronous reads
+
+function fillSoundMetadata(soundsWithoutMetadata) {
+	const paths = soundsWithoutMetadata.map(sound => join(soundsPath, getSoundPath(sound, sound.formats[0])));
+
+	return readSoundFiles(paths, files => {
+		let filledSounds = 0;
+
+		soundsWithoutMetadata.forEach((sound, index) => {
+			const { metadata } = files[index];
+			if (!metadata) return Logger.warn(`The ${sound.formats[0]} file of sound '${sound.filename}' is not a valid sound file.`);
+
+			Object.assign(sound, metadata);
+			filledSounds++;
+
+			return db.run('UPDATE sounds SET duration = ?, bitrate = ?, sample_rate = ? WHERE id = ?',
+				sound.duration, sound.bitrate, sound.sample_rate, sound.id);
 		});
 
-		// Count filtering
-		if (equals || over || under) {
-			if (equals) requestedSounds = requestedSounds.filter(sound => sound.count === equals);
-			else if (over && !under) requestedSounds = requestedSounds.filter(sound => sound.count > over);
-			else if (!over && under) requestedSounds = requestedSounds.filter(sound => sound.count < under);
-			else if (over && under) requestedSounds = requestedSounds.filter(sound => sound.count > over && sound.count < under);
-		}
-	}
+		if (!filledSounds) return;
 
-	return res.json(requestedSounds);
-});
+		updateCacheVersion('sounds');
+		return Logger.info(`Duration, bitrate and sample rate of ${filledSounds} sounds read.`);
+	});
+}
+
+function updateConfigFile() {
+	writeFile(join(__dirname, 'config.json'), JSON.stringify(config, null, '\t'), err => {
+		if (err) {
+			Logger.error('An error occurred updating the configuration file.');
+		}
+		else {
+			Logger.info('Configuration file updated.');
+		}
+	});
+}
 
-apiRouter.get('/statistics', (req, res) => { // eslint-disable-line complexity
-	let requestedStatistics = statistics;
+function filterStatistics(entries, query) { // eslint-disable-line complexity
+	let requestedStatistics = entries;
 	const latestStatisticsEntry = dateFns.parseISO(statistics[statistics.length - 1].date);
 	// Grab latest statistics entry from the object itself instead of just today's date to make sure the entry exists
 
-	if (Object.keys(req.query).length) {
-		const [from, to] = [dateFns.parseISO(req.query.from), dateFns.parseISO(req.query.to)];
-		const [equals, over, under] = [parseInt(req.query.equals), parseInt(req.query.over), parseInt(req.query.under)];
+	if (Object.keys(query).length) {
+		const [from, to] = [dateFns.parseISO(query.from), dateFns.parseISO(query.to)];
+		const [equals, over, under] = [parseInt(query.equals), parseInt(query.over), parseInt(query.under)];
 
-		if ((req.query.from && isNaN(from)) || (req.query.to && isNaN(to))) {
+		if ((query.from && isNaN(from)) || (query.to && isNaN(to))) {
 			// Check if the param was initially provided, and if the input wasn't in the correct format
-			return res.status(400).json({ code: 400, name: 'Wrong Format', message: 'Dates must be provided in yyyy-MM-dd format.' });
+			return { error: { code: 400, name: 'Wrong Format', message: 'Dates must be provided in yyyy-MM-dd format.' } };
 		}
 
-		if ((req.query.from && dateFns.isAfter(from, latestStatisticsEntry)) || (req.query.to && dateFns.isAfter(to, latestStatisticsEntry))) {
-			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'Dates may not be in the future.' });
+		if ((query.from && dateFns.isAfter(from, latestStatisticsEntry)) || (query.to && dateFns.isAfter(to, latestStatisticsEntry))) {
+			return { error: { code: 400, name: 'Invalid timespan', message: 'Dates may not be in the future.' } };
 		}
 
-		if ((req.query.from && req.query.to) && dateFns.isAfter(from, to)) {
-			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'The start date must be before the end date.' });
+		if ((query.from && query.to) && dateFns.isAfter(from, to)) {
+			return { error: { code: 400, name: 'Invalid timespan', message: 'The start date must be before the end date.' } };
 		}
 
-		if ((req.query.equals && isNaN(equals)) || (req.query.over && isNaN(over)) || (req.query.under && isNaN(under))) {
+		if ((query.equals && isNaN(equals)) || (query.over && isNaN(over)) || (query.under && isNaN(under))) {
 			// Check if the param was initially provided, and if the input wasn't a number
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' });
+			return { error: { code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' } };
 		}
 
 		if ((over && under) && over > under) {
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' });
+			return { error: { code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' } };
 		}
 
 		// Date filtering
-		if (req.query.from && !req.query.to) {
+		if (query.from && !query.to) {
 			requestedStatistics = requestedStatistics.filter(day => {
 				const parsedDate = dateFns.parseISO(day.date);
 				return dateFns.isWithinInterval(parsedDate, { start: from, end: latestStatisticsEntry });
 			});
 		}
-		else if (!req.query.from && req.query.to) {
+		else if (!query.from && query.to) {
 			requestedStatistics = requestedStatistics.filter(day => {
 				const parsedDate = dateFns.parseISO(day.date);
 				return dateFns.isSameDay(parsedDate, to) || dateFns.isBefore(parsedDate, to);
 			});
 		}
-		else if (req.query.from && req.query.to) {
+		else if (query.from && query.to) {
 			requestedStatistics = requestedStatistics.filter(day => {
 				const parsedDate = dateFns.parseISO(day.date);
 				return dateFns.isWithinInterval(parsedDate, { start: from, end: to });
@@ -371,394 +796,3032 @@ apiRouter.get('/statistics', (req, res) => { // eslint-disable-line complexity
 		}
 	}
 
-	return res.json(requestedStatistics);
-});
+	return requestedStatistics;
+}
 
-apiRouter.get('/statistics/chartData', (req, res) => { // eslint-disable-line complexity
-	let requestedChartData = chartData;
-	const latestChartMonth = dateFns.parseISO(chartData[chartData.length - 1].month);
-	// Grab latest statistics entry from the object itself instead of just today's date to make sure the entry exists
+const statisticsGroupings = {
+	day: 'yyyy-MM-dd',
+	week: 'yyyy-MM-dd', // Formatted as the first day of the week
+	month: 'yyyy-MM',
+	year: 'yyyy'
+};
+const statisticsAggregates = {
+	sum: counts => counts.reduce((total, count) => total + count, 0),
+	avg: counts => Math.round(counts.reduce((total, count) => total + count, 0) / counts.length),
+	max: counts => Math.max(...counts)
+};
+
+function aggregateStatistics(entries, groupBy, aggregate = 'sum', weekStartsOn = 1) {
+	const periods = new Map();
+
+	for (const entry of entries) {
+		let periodStart = dateFns.parseISO(entry.date);
+		if (groupBy === 'week') periodStart = dateFns.startOfWeek(periodStart, { weekStartsOn });
+
+		const period = dateFns.format(periodStart, statisticsGroupings[groupBy]);
+
+		if (periods.has(period)) periods.get(period).push(entry.count);
+		else periods.set(period, [entry.count]);
+	}
 
-	if (Object.keys(req.query).length) {
-		const [from, to] = [dateFns.parseISO(req.query.from), dateFns.parseISO(req.query.to)];
-		const [equals, over, under] = [parseInt(req.query.equals), parseInt(req.query.over), parseInt(req.query.under)];
+	return [...periods.keys()].sort().map(period => {
+		return { date: period, count: statisticsAggregates[aggregate](periods.get(period)) };
+	});
+}
 
-		if ((req.query.from && isNaN(from)) || (req.query.to && isNaN(to))) {
-			// Check if the param was initially provided, and if the input wasn't in the correct format
-			return res.status(400).json({ code: 400, name: 'Wrong Format', message: 'Dates must be provided in yyyy-MM format.' });
-		}
+// The monthly counter already is the running total of the current month, rebuilt at boot and reset at the start of each month
+function getCurrentChartData() {
+	return { month: dateFns.format(new Date(), 'yyyy-MM'), count: monthly };
+}
 
-		if ((req.query.from && dateFns.isAfter(from, latestChartMonth)) || (req.query.to && dateFns.isAfter(to, latestChartMonth))) {
-			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'Dates may not be in the future.' });
-		}
+function updatePastChartData() {
+	const currentMonth = dateFns.format(new Date(), 'yyyy-MM');
 
-		if ((req.query.from && req.query.to) && dateFns.isAfter(from, to)) {
-			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'The start date must be before the end date.' });
-		}
+	pastChartData = aggregateStatistics(statistics.filter(entry => !entry.date.startsWith(currentMonth)), 'month').map(data => {
+		return { month: data.date, count: data.count };
+	});
+}
 
-		if ((req.query.equals && isNaN(equals)) || (req.query.over && isNaN(over)) || (req.query.under && isNaN(under))) {
-			// Check if the param was initially provided, and if the input wasn't a number
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' });
-		}
+function updateCacheVersion(...caches) {
+	const modified = new Date();
 
-		if ((over && under) && over > under) {
-			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' });
-		}
+	caches.forEach(cache => {
+		cacheVersions[cache].version++;
+		cacheVersions[cache].modified = modified;
+	});
+}
 
-		// Date filtering
-		if (req.query.from && !req.query.to) {
-			requestedChartData = requestedChartData.filter(data => {
-				const parsedMonth = dateFns.parseISO(data.month);
-				return dateFns.isWithinInterval(parsedMonth, { start: from, end: latestChartMonth });
-			});
-		}
-		else if (!req.query.from && req.query.to) {
-			requestedChartData = requestedChartData.filter(data => {
-				const parsedMonth = dateFns.parseISO(data.month);
-				return dateFns.isSameMonth(parsedMonth, to) || dateFns.isBefore(parsedMonth, to);
-			});
-		}
-		else if (req.query.from && req.query.to) {
-			requestedChartData = requestedChartData.filter(data => {
-				const parsedMonth = dateFns.parseISO(data.month);
-				return dateFns.isWithinInterval(parsedMonth, { start: from, end: to });
-			});
-		}
+function conditionalGet(cache, liveData = true) {
+	return (req, res, next) => {
+		const { version: cacheVersion, modified } = cacheVersions[cache];
+		const maxAge = liveData ? Math.ceil(Math.max(config.responseInterval, 0) / 1000) : config.updateInterval * 60;
+		// Live data changes with every click, so it may only be cached as long as bulk mode delays its updates anyway
 
-		// Count filtering
-		if (equals || over || under) {
-			if (equals) {
-				requestedChartData = requestedChartData.filter(data => data.count === equals);
-			}
-			else if (over && !under) {
-				requestedChartData = requestedChartData.filter(data => data.count > over);
-			}
-			else if (!over && under) {
-				requestedChartData = requestedChartData.filter(data => data.count < under);
-			}
-			else if (over && under) {
-				requestedChartData = requestedChartData.filter(data => data.count > over && data.count < under);
+		res.set({
+			'ETag': `W/"${cache}-${bootTimestamp}-${cacheVersion}"`,
+			'Cache-Control': maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache'
+		});
+		if (!liveData) res.set('Last-Modified', modified.toUTCString());
+		// Live data changes many times per second, more often than the second-resolution Last-Modified header could tell apart
+
+		if (req.fresh) return res.status(304).end();
+
+		const json = res.json.bind(res);
+		res.json = body => {
+			if (res.statusCode >= 400) ['ETag', 'Last-Modified', 'Cache-Control'].forEach(header => res.removeHeader(header));
+			return json(body);
+		}; // Errors such as invalid parameters must not be cached as if they were the data's current version
+
+		return next();
+	};
+}
+
+function manageConnections(connectionLimit) {
+	socketConnections = [];
+
+	if (connectionLimit > 0) {
+		// Rebuild the connection counts from the currently open sockets
+		socketServer.clients.forEach(client => {
+			let user = socketConnections.find(u => u.ip === client.realIP);
+
+			if (!user) {
+				user = { ip: client.realIP, connections: 0 };
+				socketConnections.push(user);
 			}
-		}
-	}
 
-	return res.json(requestedChartData);
-});
+			if (user.connections >= connectionLimit) {
+				client.limitKicked = true;
+				client.close(); // Close existing excess connections
+			}
+			else user.connections++;
+		});
 
-apiRouter.get('/statistics/summary', (req, res) => {
-	return res.json({ alltime: counter, daily, weekly, monthly, yearly, average });
-});
+		const streamConnections = new Map();
 
-apiRouter.get('/statistics/milestones', (req, res) => {
-	const [reached, sound_id] = [parseInt(req.query.reached), parseInt(req.query.sound_id)];
-	let requestedMilestones = milestones;
+		eventStreams.forEach(stream => {
+			const connections = streamConnections.get(stream.realIP) || 0;
 
-	if (!isNaN(reached)) {
-		requestedMilestones = requestedMilestones.filter(ms => ms.reached === reached);
-	}
-	if (!isNaN(sound_id)) {
-		requestedMilestones = requestedMilestones.filter(ms => ms.sound_id === sound_id);
+			if (connections >= connectionLimit) closeEventStream(stream); // Close existing excess streams
+			else streamConnections.set(stream.realIP, connections + 1);
+		});
 	}
+}
 
-	return res.json(requestedMilestones);
-});
-
-apiRouter.post('/login', (req, res) => { // Only actual page (not raw API) uses this route
-	if (config.adminToken === req.body.token) {
-		req.session.loggedIn = true;
-		Logger.info('A user has logged in on the \'/login\' endpoint.');
+function getRatelimitBucket(ip, now = Date.now()) {
+	const burst = config.ratelimitBurst > 0 ? config.ratelimitBurst : config.requestsPerMinute;
+	let bucket = ratelimitBuckets.get(ip);
 
-		return res.json({ code: 200, message: 'Successfully logged in!' });
+	if (!bucket) {
+		bucket = { tokens: burst, updated: now, changed: true };
+		ratelimitBuckets.set(ip, bucket);
 	}
 	else {
-		return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid token provided.' });
+		// Refill for the time passed since the last refill, without going over the burst size
+		bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * config.requestsPerMinute / (1000 * 60));
+		bucket.updated = now;
 	}
-});
 
-apiRouter.all(['/admin/', '/admin/*'], (req, res, next) => {
-	if (req.session.loggedIn || config.adminToken === req.headers.authorization) {
-		Logger.info(`An authorized user has sent a request to the '${req.path}' endpoint.`);
-		return next();
-	}
-	else {
-		return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid token provided.' });
+	return bucket;
+}
+
+function consumeRatelimitToken(ip) {
+	const bucket = getRatelimitBucket(ip);
+
+	if (bucket.tokens < 1) {
+		const retryAfter = Math.ceil((1 - bucket.tokens) * 1000 * 60 / config.requestsPerMinute);
+		return { limited: true, retryAfter };
 	}
-});
 
-apiRouter.get('/admin/logout', (req, res) => {
-	req.session.destroy();
-	Logger.info('A user has logged out of the admin panel.');
-	return res.json({ code: 200, message: 'Successfully logged out!' });
-});
+	bucket.tokens--;
+	bucket.changed = true;
 
-apiRouter.all('/admin/sounds/*', (req, res, next) => {
-	const originalData = req.body;
-	const parsedData = {};
+	return { limited: false, remaining: Math.floor(bucket.tokens) };
+}
 
-	Object.keys(originalData).forEach(d => {
-		if (!isNaN(parseInt(originalData[d]))) return parsedData[d] = parseInt(originalData[d]);
-		else if (typeof originalData[d] === 'string') return parsedData[d] = originalData[d].trim();
-		else return parsedData[d] = originalData[d];
-	});
+function manageRatelimitBuckets() {
+	if (config.requestsPerMinute <= 0) return ratelimitBuckets.clear();
 
-	if (parsedData.filename === '') {
-		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename may not be an empty string if provided.' });
-	}
-	if (parsedData.filename && sounds.find(sound => sound.filename === parsedData.filename)) {
-		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename already in use.' });
-	}
-	if (parsedData.count === '' || (originalData.count !== undefined && isNaN(parsedData.count))) {
-		return res.status(400).json({ code: 400, name: 'Invalid count', message: 'Sound click count must be an integer if provided.' });
-	}
-	if (originalData.id !== undefined && isNaN(parseInt(parsedData.id))) {
-		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be an integer.' });
+	const burst = config.ratelimitBurst > 0 ? config.ratelimitBurst : config.requestsPerMinute;
+	const connectedIPs = new Set([...socketServer.clients].map(client => client.realIP));
+
+	for (const [ip, bucket] of ratelimitBuckets) {
+		getRatelimitBucket(ip); // Refill
+
+		if (bucket.tokens >= burst && !connectedIPs.has(ip)) {
+			// Full buckets of disconnected users would be recreated identically, so they can be dropped
+			ratelimitBuckets.delete(ip);
+			if (config.persistRatelimits) db.run('DELETE FROM ratelimits WHERE ip = ?', ip);
+		}
+		else if (config.persistRatelimits && bucket.changed) {
+			db.run('INSERT OR REPLACE INTO ratelimits ( ip, tokens, updated ) VALUES ( ?, ?, ? )', ip, bucket.tokens, bucket.updated);
+			bucket.changed = false;
+		}
 	}
-	if (parsedData.id !== undefined && !sounds.find(sound => sound.id === parsedData.id)) {
-		return res.status(404).json({ code: 404, name: 'Invalid sound', message: 'Sound not found.' });
+}
+
+function parseIP(ip) {
+	// Returns the address as eight 16-bit groups, with IPv4 addresses mapped into IPv6 (::ffff:a.b.c.d)
+	if (typeof ip !== 'string') return null;
+	let address = ip.split('%')[0].toLowerCase(); // Strip IPv6 zone indices
+	const ipv4Groups = [];
+
+	const ipv4Match = address.match(/(^|:)(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+	if (ipv4Match) {
+		const octets = ipv4Match.slice(2).map(o => parseInt(o));
+		if (octets.some(o => o > 255)) return null;
+
+		ipv4Groups.push(octets[0] * 256 + octets[1], octets[2] * 256 + octets[3]);
+		address = address.slice(0, address.length - ipv4Match[0].length + ipv4Match[1].length);
+		if (!address) return [0, 0, 0, 0, 0, 0xffff, ...ipv4Groups];
 	}
 
-	if (parsedData.filename) parsedData.filename = parsedData.filename.toString();
-	if (parsedData.displayname) parsedData.displayname = parsedData.displayname.toString();
-	if (parsedData.theme) parsedData.theme = parsedData.theme.toString();
-	if (parsedData.source) parsedData.source = parsedData.source.toString();
+	const halves = address.split('::');
+	if (halves.length > 2) return null;
 
-	req.body = parsedData;
+	const parseGroups = half => half ? half.split(':') : [];
+	const head = parseGroups(halves[0]), tail = parseGroups(halves[1]);
+	if (ipv4Groups.length && halves.length === 1 && head[head.length - 1] === '') head.pop(); // Trailing colon before an embedded IPv4 address
+	else if (ipv4Groups.length && tail[tail.length - 1] === '') tail.pop();
 
-	return next();
-});
+	if (head.concat(tail).some(g => !/^[0-9a-f]{1,4}$/.test(g))) return null;
 
-apiRouter.post('/admin/sounds/upload', multer({ dest: './resources/temp' }).single('file'), (req, res) => {
-	let newSound;
+	const missingGroups = 8 - head.length - tail.length - ipv4Groups.length;
+	if (halves.length === 1 ? missingGroups !== 0 : missingGroups < 1) return null;
 
-	if (!req.file || (req.file && !['audio/mpeg', 'audio/mp3'].includes(req.file.mimetype))) {
-		if (req.file) unlink(req.file.path, delError => {
-			if (delError) {
-				Logger.error(`An error occurred deleting the temporary file '${req.file.filename}', please check manually.`);
-				return Logger.error(delError);
-			}
-		}); // If a wrong filetype was provided, delete the created temp file on rejection
+	return head.concat(new Array(halves.length === 2 ? missingGroups : 0).fill('0'), tail).map(g => parseInt(g, 16)).concat(ipv4Groups);
+}
 
-		return res.status(400).json({ code: 400, name: 'Invalid file', message: 'An mp3 file must be provided.' });
-	}
+function parseAddressRange(range) {
+	// Accepts single addresses as well as CIDR ranges, e.g. '203.0.113.0/24' or '2001:db8::/32'
+	if (typeof range !== 'string') return null;
+	const [ip, prefix, ...rest] = range.split('/');
+	const address = parseIP(ip);
+	const isIPv4 = !ip.includes(':');
 
-	const data = req.body;
-	if (data.count === undefined) data.count = 0;
-	if (!data.theme) data.theme = 'megumin'; // Default theme
-	if (!data.source) data.source = 'no-source';
+	if (!address || rest.length) return null;
+	if (prefix === undefined) return { address, prefix: 128 };
+	if (!/^\d{1,3}$/.test(prefix) || parseInt(prefix) > (isIPv4 ? 32 : 128)) return null;
 
-	if (!Object.keys(data).includes('filename')) {
-		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename must be provided.' });
+	return { address, prefix: parseInt(prefix) + (isIPv4 ? 96 : 0) }; // IPv4 ranges are matched within their mapped IPv6 space
+}
+
+function rangeContains(range, address) {
+	for (let i = 0; i < 8 && range.prefix > i * 16; i++) {
+		const bits = Math.min(16, range.prefix - i * 16);
+		const mask = (0xffff << 16 - bits) & 0xffff;
+
+		if ((range.address[i] & mask) !== (address[i] & mask)) return false;
 	}
 
-	Logger.info(`Sound '${data.filename}' (Shown as '${data.displayname}', from '${data.source}') now being uploaded.`);
+	return true;
+}
 
-	const latestID = sounds.length ? sounds[sounds.length - 1].id : 0;
+function isBlocked(ip) {
+	const address = parseIP(ip);
+	if (!address || !blocklist.length) return false;
 
-	const valuePlaceholders = '?, '.repeat(Object.keys(data).length).slice(0, -2); // Cut off dangling comma and whitespace
-	const columnNames = Object.keys(data).map(k => `"${k}"`).join(', ');
+	const now = Date.now();
+	return blocklist.some(entry => (!entry.expires || entry.expires > now) && rangeContains(parseAddressRange(entry.address), address));
+}
 
-	const query = db.prepare(`INSERT INTO sounds ( ${columnNames} ) VALUES ( ${valuePlaceholders} )`);
-	query.run(...Object.values(data), insertErr => {
-		if (insertErr) {
-			Logger.error('An error occurred creating the database entry, upload aborted.');
-			Logger.error(insertErr);
+function getRealIP(req) {
+	return config.proxy ? req.headers['x-real-ip'] : req.connection.remoteAddress;
+}
 
-			unlink(req.file.path, delError => {
-				if (delError) {
-					Logger.error(`An error occurred deleting the temporary file '${req.file.filename}', please check manually.`);
-					return Logger.error(delError);
-				} // Delete temporary file on failure
-			});
+function hashPassword(password, callback) {
+	const salt = randomBytes(16).toString('hex');
 
-			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-		}
-		Logger.info('(1/3): Database entry successfully created.');
+	return scrypt(password, salt, 64, (hashErr, hash) => {
+		if (hashErr) return callback(hashErr);
+		return callback(null, `${salt}:${hash.toString('hex')}`);
+	});
+}
 
-		newSound = {
-			id: latestID + 1,
-			filename: data.filename,
-			displayname: data.displayname || null,
-			source: data.source,
-			count: data.count,
-			theme: data.theme
-		};
-		sounds.push(newSound);
+function verifyPassword(password, storedHash, callback) {
+	const [salt, hash] = storedHash.split(':');
+	if (!salt || !hash) return callback(null, false);
 
-		Logger.info('(2/3): Sound cache entry successfully created.');
+	return scrypt(password, salt, 64, (hashErr, derivedHash) => {
+		if (hashErr) return callback(hashErr);
 
-		const folderPath = join('./resources/sounds/', cleanString(data.theme), cleanString(data.source));
-		const folderExists = existsSync(folderPath);
+		const expectedHash = Buffer.from(hash, 'hex');
+		return callback(null, expectedHash.length === derivedHash.length && timingSafeEqual(derivedHash, expectedHash));
+	}); // Malformed hashes of a different length would make timingSafeEqual throw
+}
 
-		if (!folderExists) {
-			mkdir(folderPath, createErr => {
-				if (createErr) {
-					Logger.error('An error occurred creating the new sound folder.');
-					Logger.error(createErr);
-					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-				}
-			});
-		}
+const unusablePasswordHash = `${'0'.repeat(32)}:${'0'.repeat(128)}`;
+// Checked against when an account doesn't exist, so unknown usernames take as long to reject as wrong passwords
 
-		const soundPath = join(folderPath, `${data.filename}.mp3`);
+function parseBasicAuth(header) {
+	if (typeof header !== 'string' || !header.startsWith('Basic ')) return null;
 
-		rename(req.file.path, soundPath, renameErr => {
-			if (renameErr) {
-				Logger.error('An error occurred renaming the temporary file.');
-				Logger.error(renameErr);
-				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-			}
-			else Logger.info('(3/3): Uploaded mp3 file successfully renamed to requested filename.');
-		});
+	const credentials = Buffer.from(header.slice(6), 'base64').toString();
+	const separatorIndex = credentials.indexOf(':');
+	if (separatorIndex === -1) return null;
 
-		emitUpdate({
-			type: 'soundUpload',
-			sound: newSound
-		});
+	return { username: credentials.slice(0, separatorIndex), password: credentials.slice(separatorIndex + 1) };
+}
 
-		return res.json({ code: 200, message: 'Sound successfully uploaded.', sound: newSound });
-	});
-});
+function hasValidCsrfToken(req) {
+	const token = req.headers['x-csrf-token'];
+	if (typeof token !== 'string' || Buffer.byteLength(token) !== Buffer.byteLength(req.session.csrfToken)) return false;
+	// Byte lengths, as characters outside of ASCII take up more than one byte and timingSafeEqual throws on differing lengths
 
-apiRouter.patch('/admin/sounds/modify', (req, res) => {
-	const data = req.body;
+	return timingSafeEqual(Buffer.from(token), Buffer.from(req.session.csrfToken));
+}
 
-	const stepAmount = data.hasOwnProperty('filename') ? 5 : 2;
+function publicAdmin(admin) {
+	// Password hashes and two-factor secrets never leave the server
+	return { id: admin.id, username: admin.username, role: admin.role, two_factor: Boolean(admin.totp_enabled), created: admin.created };
+}
 
-	if (!data.id) {
-		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be provided.' });
-	}
-	if (!['filename', 'displayname', 'source', 'count', 'theme'].some(p => Object.keys(data).includes(p))) {
-		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
-	}
+function encodeBase32(buffer) {
+	const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+	const bits = Array.from(buffer).map(byte => byte.toString(2).padStart(8, '0')).join('');
+	let encoded = '';
 
-	const changedSound = sounds.find(sound => sound.id === data.id);
-	Logger.info(`Sound '${changedSound.filename}' now being modified.`);
+	for (let i = 0; i < bits.length; i += 5) encoded += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
 
-	if (!data.filename) data.filename = changedSound.filename;
+	return encoded;
+}
 
-	let columnPlaceholders = '';
+function generateTOTP(secret, step) {
+	// RFC 6238 with the parameters authenticator apps default to: HMAC-SHA1 over the 30 second step counter, 6 digits
+	const stepCounter = Buffer.alloc(8);
+	stepCounter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+	stepCounter.writeUInt32BE(step % 2 ** 32, 4);
 
-	const changedProperties = Object.assign({}, data);
-	delete changedProperties.id; // Only properties to change wanted
+	const hmac = createHmac('sha1', Buffer.from(secret, 'hex')).update(stepCounter).digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
 
-	Object.keys(changedProperties).forEach(k => columnPlaceholders += `"${k}" = ?, `);
-	columnPlaceholders = columnPlaceholders.slice(0, -2); // Cut off dangling comma and whitespace
+	return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** totpDigits).toString().padStart(totpDigits, '0');
+}
 
-	const query = db.prepare(`UPDATE sounds SET ${columnPlaceholders} WHERE id = ?`);
+function findTOTPStep(secret, code, lastStep) {
+	const currentStep = Math.floor(Date.now() / 1000 / totpPeriod);
 
-	query.run(...Object.values(changedProperties), data.id, updateErr => {
-		if (updateErr) {
-			Logger.error('An error occurred updating the database entry, renaming aborted.');
-			Logger.error(updateErr);
-			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-		}
-		Logger.info(`(1/${stepAmount}): Database entry successfully updated.`);
+	// One step of leeway in either direction for clock drift, steps at or before the last used one were already spent
+	for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+		if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+		if (timingSafeEqual(Buffer.from(generateTOTP(secret, step)), Buffer.from(code))) return step;
+	}
 
-		const soundSource = cleanString(data.source || changedSound.source);
-		const soundTheme = cleanString(data.theme || changedSound.theme);
+	return null;
+}
 
-		const newFolderPath = join('./resources/sounds/', soundTheme, soundSource);
-		const newFolderExists = existsSync(newFolderPath);
+function hashRecoveryCode(code) {
+	return createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
 
-		if (!newFolderExists) {
-			mkdir(newFolderPath, createErr => {
-				if (createErr) {
-					Logger.error('An error occurred creating the new sound folder.');
-					Logger.error(createErr);
-					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-				}
-			});
-		}
+function generateRecoveryCodes() {
+	return Array.from({ length: recoveryCodeAmount }, () => randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+}
 
-		const oldFolderPath = join('./resources/sounds/', cleanString(changedSound.theme), cleanString(changedSound.source));
+function useTwoFactorCode(admin, code, callback) {
+	if (typeof code !== 'string') return callback(null, false);
 
-		const oldSoundPath = join(oldFolderPath, `${changedSound.filename}.mp3`);
-		const newSoundPath = join(newFolderPath, `${data.filename}.mp3`);
+	if (new RegExp(`^\\d{${totpDigits}}$`).test(code.trim())) {
+		const step = findTOTPStep(admin.totp_secret, code.trim(), admin.totp_last_step);
+		if (step === null) return callback(null, false);
 
-		Object.assign(changedSound, data);
+		admin.totp_last_step = step; // Cached right away so a parallel request can't reuse the code
+		return db.run('UPDATE admins SET totp_last_step = ? WHERE id = ?', step, admin.id, updateErr => callback(updateErr, !updateErr));
+	}
 
-		Logger.info(`(2/${stepAmount}): Sound cache entry successfully updated.`);
+	const recoveryCodes = admin.recovery_codes ? admin.recovery_codes.split(',') : [];
+	const codeIndex = recoveryCodes.indexOf(hashRecoveryCode(code));
+	if (codeIndex === -1) return callback(null, false);
 
-		if (data.filename || data.source || data.theme) {
-			copyFile(oldSoundPath, `${oldSoundPath}.bak`, copyErr => {
-				if (copyErr) {
-					Logger.error('An error occurred backing up the original mp3 file, renaming aborted.');
-					Logger.error(copyErr);
-					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-				}
-				Logger.info(`(3/${stepAmount}): Original mp3 file successfully backed up.`);
+	recoveryCodes.splice(codeIndex, 1);
+	admin.recovery_codes = recoveryCodes.join(',') || null;
+	Logger.warn(`Admin '${admin.username}' has used a recovery code, ${recoveryCodes.length} remaining.`);
 
-				rename(oldSoundPath, newSoundPath, renameErr => {
-					if (renameErr) {
-						Logger.error('An error occurred renaming the original mp3 file, renaming aborted, restoring backup.');
-						Logger.error(renameErr);
-						rename(`${oldSoundPath}.bak`, oldSoundPath, backupResErr => {
-							if (backupResErr) return Logger.error(`Backup restoration for the mp3 file failed.`);
-						});
+	return db.run('UPDATE admins SET recovery_codes = ? WHERE id = ?', admin.recovery_codes, admin.id, updateErr => callback(updateErr, !updateErr));
+}
 
-						return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-					}
-					Logger.info(`(4/${stepAmount}): Original mp3 file successfully renamed.`);
+function publicSession(row, currentSessionID) {
+	// Session IDs stay secret, they are all it takes to use a session
+	return {
+		id: row.id,
+		admin_id: row.admin_id,
+		username: row.username,
+		ip: row.ip,
+		user_agent: row.user_agent,
+		last_seen: row.last_seen,
+		expires: row.expires,
+		current: row.sid === currentSessionID
+	};
+}
 
-					unlink(`${oldSoundPath}.bak`, unlinkErr => {
-						if (unlinkErr) {
-							Logger.warn('An error occurred deleting the original mp3 backup, please delete manually.');
-							return Logger.error(unlinkErr);
-						}
-						Logger.info(`(5/${stepAmount}): Original mp3 backup successfully deleted.`);
-					});
-				});
-			});
+function hashApiKey(key) {
+	// Keys are long and random, so unlike passwords they don't need a slow, salted hash
+	return createHash('sha256').update(key).digest('hex');
+}
+
+function publicApiKey(apiKey) {
+	return {
+		id: apiKey.id,
+		name: apiKey.name,
+		scopes: apiKey.scopes.split(','),
+		expires: apiKey.expires,
+		last_used: apiKey.last_used,
+		created: apiKey.created
+	};
+}
+
+function recordAuditEntry(req, before, after) {
+	// Either state may be null, e.g. for additions (nothing before) or deletions (nothing after)
+	const actor = req.admin ? req.admin.username : `API key '${req.apiKey.name}'`;
+	const route = `${req.method} ${req.baseUrl}${req.path}`;
+	const [beforeState, afterState] = [before, after].map(state => state === null || state === undefined ? null : JSON.stringify(state));
+
+	const query = db.prepare('INSERT INTO audit_log ( actor, route, before, after, ip, timestamp ) VALUES ( ?, ?, ?, ?, ?, ? )');
+	return query.run(actor, route, beforeState, afterState, getRealIP(req) || null, Date.now(), insertErr => {
+		if (insertErr) {
+			Logger.error(`An error occurred recording the audit log entry for '${route}' by ${actor}.`);
+			return Logger.error(insertErr);
 		}
+	});
+}
+
+function kickBlockedSockets() {
+	socketServer.clients.forEach(client => {
+		if (isBlocked(client.realIP)) client.close(4003, 'Blocked');
+	});
+
+	return eventStreams.forEach(stream => {
+		if (isBlocked(stream.realIP)) closeEventStream(stream);
+	});
+}
+
+function registerLoginFailure(tracker, attemptLimit, now) {
+	if (now - tracker.lastFailure > loginFailureExpiry) tracker.failures = 0; // Old failures are forgiven
+
+	tracker.failures++;
+	tracker.lastFailure = now;
+
+	if (attemptLimit > 0 && tracker.failures >= attemptLimit) {
+		// The lockout doubles with every further failure, starting at the base duration once the limit is reached
+		tracker.lockedUntil = now + Math.min(loginLockoutMax, loginLockoutBase * 2 ** (tracker.failures - attemptLimit));
+	}
+
+	return tracker;
+}
+
+function recordLoginFailure(ip, identity) {
+	const now = Date.now();
+	if (!loginFailures.has(ip)) loginFailures.set(ip, { failures: 0, lockedUntil: 0, lastFailure: 0 });
+
+	// Configurations from before these limits existed still get the default protection
+	const ipTracker = registerLoginFailure(loginFailures.get(ip), config.loginAttempts || 5, now);
+	registerLoginFailure(globalLoginFailures, 0, now); // Never locked, see getGlobalLoginDelay
+
+	Logger.warn(`Failed login attempt as ${identity} from ${ip} (${ipTracker.failures} in a row).`);
+
+	if (ipTracker.lockedUntil > now) Logger.warn(`${ip} is locked out of logging in for ${Math.ceil((ipTracker.lockedUntil - now) / 1000)} seconds.`);
+
+	const globalDelay = getGlobalLoginDelay(now);
+	if (globalDelay) Logger.warn(`All logins are slowed down by ${globalDelay}ms due to too many failed attempts across all addresses.`);
+}
+
+function getLoginLockout(ip) {
+	const ipTracker = loginFailures.get(ip);
+
+	return ipTracker ? Math.max(0, ipTracker.lockedUntil - Date.now()) : 0;
+}
+
+function getGlobalLoginDelay(now = Date.now()) {
+	const attemptLimit = config.globalLoginAttempts || 100;
+	if (attemptLimit <= 0 || now - globalLoginFailures.lastFailure > loginFailureExpiry) return 0;
+
+	const excessFailures = globalLoginFailures.failures - attemptLimit + 1;
+	return excessFailures > 0 ? Math.min(globalLoginDelayMax, globalLoginDelayStep * excessFailures) : 0;
+} // Only a capped delay instead of a lock, as anyone could otherwise lock every admin out by failing logins from many addresses
+
+function delayLoginCheck(callback) {
+	const delay = getGlobalLoginDelay();
+	return delay ? setTimeout(callback, delay) : callback();
+}
+
+function sendLoginLockout(res, lockout) {
+	const retryAfter = Math.ceil(lockout / 1000);
+
+	res.set('Retry-After', retryAfter);
+	return res.status(429).json({ code: 429, name: 'Too many attempts', message: `Too many failed login attempts, try again in ${retryAfter} seconds.` });
+}
+
+function manageLoginFailures() {
+	const now = Date.now();
+
+	for (const [ip, tracker] of loginFailures) {
+		if (tracker.lockedUntil <= now && now - tracker.lastFailure > loginFailureExpiry) loginFailures.delete(ip);
+	}
+}
+
+class DatabaseSessionStore extends session.Store {
+	get(sid, callback) {
+		return db.get('SELECT data FROM sessions WHERE sid = ? AND expires > ?', sid, Date.now(), (selectErr, row) => {
+			if (selectErr) return callback(selectErr);
+			return callback(null, row ? JSON.parse(row.data) : null);
+		});
+	}
+
+	set(sid, sess, callback) {
+		const now = Date.now();
+		const query = db.prepare(`INSERT INTO sessions ( sid, admin_id, data, ip, user_agent, last_seen, expires ) VALUES ( ?, ?, ?, ?, ?, ?, ? )
+			ON CONFLICT ( sid ) DO UPDATE SET admin_id = excluded.admin_id, data = excluded.data, ip = excluded.ip, user_agent = excluded.user_agent,
+			last_seen = excluded.last_seen, expires = excluded.expires`);
+
+		return query.run(sid, sess.adminID || null, JSON.stringify(sess), sess.ip || null, sess.userAgent || null, now, getSessionExpiry(sess, now), setErr => {
+			if (callback) return callback(setErr);
+		});
+	}
+
+	touch(sid, sess, callback) {
+		const now = Date.now();
+
+		return db.run('UPDATE sessions SET last_seen = ?, expires = ? WHERE sid = ?', now, getSessionExpiry(sess, now), sid, touchErr => {
+			if (callback) return callback(touchErr);
+		});
+	}
+
+	destroy(sid, callback) {
+		return db.run('DELETE FROM sessions WHERE sid = ?', sid, destroyErr => {
+			if (callback) return callback(destroyErr);
+		});
+	}
+}
+
+function getSessionExpiry(sess, now) {
+	// Session cookies (without an expiry) last until the browser closes, so the server needs its own limit for them
+	return sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : now + sessionLifetime;
+}
+
+readdirSync(pagePath).filter(f => f.endsWith('.html')).forEach(file => {
+	const pageName = file.slice(0, -5).toLowerCase(); // -5 for cutting '.html'
+
+	pages.push({
+		name: file,
+		path: join(pagePath, file),
+		route: [`/${pageName}`, `/${pageName}.html`]
+	});
+
+	if (pageName === 'index') pages[pages.length - 1].route.push('/');
+	// Last array item because during current iteration it will be the last (adds root-dir route for index)
+});
+
+server.use(helmet({
+	hsts: false // HSTS sent via nginx
+}));
+if (config.proxy) server.set('trust proxy', true);
+server.use((req, res, next) => {
+	if (!isBlocked(getRealIP(req))) return next();
+
+	if (req.path.startsWith('/api/')) return res.status(403).json({ code: 403, name: 'Access denied', message: 'Your IP address has been blocked.' });
+	else return res.status(403).sendFile('403.html', { root: './pages/error/' });
+});
+server.use(session({
+	store: new DatabaseSessionStore(),
+	secret: config.sessionSecret,
+	resave: false,
+	saveUninitialized: false,
+	cookie: { secure: 'auto' },
+	unset: 'destroy'
+}));
+server.get('/sounds/:theme/:source/:file', (req, res, next) => {
+	const { theme, source, file } = req.params;
+	const format = file.slice(file.lastIndexOf('.') + 1), filename = file.slice(0, -format.length - 1);
+	const sound = findSound(filename);
+
+	if (!sound || !soundFormats.includes(format)) return next();
+	if (theme === cleanString(sound.theme) && source === cleanString(sound.source) && filename === sound.filename && sound.formats.includes(format)) {
+		return next();
+	}
+
+	const redirectFormat = sound.formats.includes(format) ? format : sound.formats[0];
+	return res.redirect(301, encodeURI(`/sounds/${cleanString(sound.theme)}/${cleanString(sound.source)}/${sound.filename}.${redirectFormat}`));
+}); // Links to renamed or moved sounds keep working
+// Uploaded SVG images aren't searched for scripts, as there are too many ways to hide them
+// This policy keeps scripts in uploaded files from running instead, even when they are opened directly rather than shown as images
+server.use(['/themes/', '/seasonals/'], (req, res, next) => {
+	res.set('Content-Security-Policy', 'default-src \'none\'; img-src \'self\' data:; style-src \'unsafe-inline\'; sandbox');
+	return next();
+});
+express.static.mime.define({ 'audio/ogg': ['opus'] }); // Otherwise served as a download, the bundled mime types don't know it
+server.use(express.static('./resources'));
+
+const apiRouter = express.Router();
+
+apiRouter.use(express.urlencoded({ extended: true }));
+apiRouter.use(express.json());
+
+apiRouter.all('/*', (req, res, next) => {
+	const apiEndpoints = apiRouter.stack.filter(r => r.route).map(r => r.route.path);
+	const parameterEndpoints = apiRouter.stack.filter(r => r.route && r.route.path.includes('/:'));
+	// Routes with parameters can't be compared literally, so they are matched against their compiled path instead
+
+	if (!apiEndpoints.includes(req.path) && !parameterEndpoints.some(r => r.regexp.test(req.path))) {
+		return res.status(404).json({ code: 404, name: 'Invalid route', message: 'Endpoint not found.' });
+	}
+	else return next();
+});
+
+apiRouter.get('/', (req, res) => {
+	return res.json({ code: 200, message: 'You have reached the megumin.love API.' });
+});
+
+apiRouter.get('/meta', (req, res) => {
+	return res.json({ port: config.port, version });
+});
+
+apiRouter.get('/counter', conditionalGet('counter'), (req, res) => {
+	return res.json({ counter });
+});
+
+apiRouter.get('/themes', conditionalGet('themes', false), (req, res) => {
+	return res.json(themes);
+});
+
+apiRouter.get('/backgrounds', conditionalGet('backgrounds', false), (req, res) => {
+	return res.json(seasonalEvents);
+});
+
+apiRouter.get('/backgrounds/active', conditionalGet('backgrounds', false), (req, res) => {
+	return res.json(seasonalEvents.filter(event => isSeasonalEventActive(event)));
+}); // Evaluated by the server's clock, so every visitor sees the same events
+
+apiRouter.get('/tags', conditionalGet('tags', false), (req, res) => {
+	return res.json(tags.slice().sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+apiRouter.get('/sounds', conditionalGet('sounds'), (req, res) => { // eslint-disable-line complexity
+	let requestedSounds = sounds;
+	let totalSounds = sounds.length;
+
+	if (Object.keys(req.query).length) {
+		const { theme, source, order = 'asc', tagMode = 'or' } = req.query;
+		const [equals, over, under] = [parseInt(req.query.equals), parseInt(req.query.over), parseInt(req.query.under)];
+		const [limit, offset] = [parseInt(req.query.limit), parseInt(req.query.offset)];
+		const sortKeys = req.query.sort ? req.query.sort.toString().split(',').map(key => key.trim()) : [];
+		const fields = req.query.fields ? req.query.fields.toString().split(',').map(field => field.trim()) : [];
+		const tagNames = req.query.tag ? parseTagNames(req.query.tag.toString()) : [];
+
+		if ((req.query.equals && isNaN(equals)) || (req.query.over && isNaN(over)) || (req.query.under && isNaN(under))) {
+			// Check if the param was initially provided and if the input wasn't a number
+			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' });
+		}
+
+		if ((over && under) && over > under) {
+			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' });
+		}
+
+		if (sortKeys.some(key => !sortableSoundKeys.includes(key))) {
+			return res.status(400).json({ code: 400, name: 'Invalid sort', message: `Sounds can only be sorted by ${sortableSoundKeys.join(', ')}.` });
+		}
+
+		if (!['asc', 'desc'].includes(order)) {
+			return res.status(400).json({ code: 400, name: 'Invalid sort', message: 'The "order" parameter must be either "asc" or "desc".' });
+		}
+
+		if (!['and', 'or'].includes(tagMode)) {
+			return res.status(400).json({ code: 400, name: 'Invalid tags', message: 'The "tagMode" parameter must be either "and" or "or".' });
+		}
+
+		if ((req.query.limit && (isNaN(limit) || limit < 1)) || (req.query.offset && (isNaN(offset) || offset < 0))) {
+			return res.status(400).json({ code: 400, name: 'Invalid page', message: 'The "limit" parameter must be above 0 and "offset" not negative.' });
+		}
+
+		if (sounds.length && fields.some(field => !sounds[0].hasOwnProperty(field))) {
+			return res.status(400).json({ code: 400, name: 'Invalid fields', message: 'Only existing sound properties can be selected.' });
+		}
+
+		// Theme filtering
+		if (theme) requestedSounds = requestedSounds.filter(sound => {
+			if (!sound.theme && theme === 'megumin') return true; // Default sounds have no theme
+			else return sound.theme === theme;
+		});
+
+		// Source filtering
+		if (source) requestedSounds = requestedSounds.filter(sound => {
+			if (sound.source === 'no-source') return false;
+			else return sound.source.toLowerCase() === source.toLowerCase();
+		});
+
+		// Tag filtering, sounds need all of the tags with "and" or any of them with "or"
+		if (tagNames.length) requestedSounds = requestedSounds.filter(sound => {
+			return tagMode === 'and' ? tagNames.every(tag => sound.tags.includes(tag)) : tagNames.some(tag => sound.tags.includes(tag));
+		});
+
+		// Count filtering
+		if (equals || over || under) {
+			if (equals) requestedSounds = requestedSounds.filter(sound => sound.count === equals);
+			else if (over && !under) requestedSounds = requestedSounds.filter(sound => sound.count > over);
+			else if (!over && under) requestedSounds = requestedSounds.filter(sound => sound.count < under);
+			else if (over && under) requestedSounds = requestedSounds.filter(sound => sound.count > over && sound.count < under);
+		}
+
+		// Sorting
+		if (sortKeys.length) {
+			requestedSounds = requestedSounds.slice().sort((a, b) => { // Copy to keep the cache in its original order
+				for (const key of sortKeys) {
+					const difference = typeof a[key] === 'number'
+						? a[key] - b[key]
+						: (a[key] || '').localeCompare(b[key] || ''); // Sounds without displayname have it set to null
+
+					if (difference !== 0) return order === 'desc' ? -difference : difference;
+				}
+
+				return 0;
+			});
+		}
+
+		// Pagination
+		totalSounds = requestedSounds.length;
+
+		if (req.query.offset || req.query.limit) {
+			requestedSounds = requestedSounds.slice(offset || 0, limit ? (offset || 0) + limit : undefined);
+		}
+
+		// Field selection
+		if (fields.length) {
+			requestedSounds = requestedSounds.map(sound => {
+				const selectedFields = {};
+				fields.forEach(field => selectedFields[field] = sound[field]);
+
+				return selectedFields;
+			});
+		}
+	}
+
+	res.set('X-Total-Count', totalSounds);
+	return res.json(requestedSounds);
+});
+
+apiRouter.get('/sounds/:id/statistics', conditionalGet('soundStatistics'), (req, res) => {
+	const id = parseInt(req.params.id);
+
+	if (isNaN(id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be an integer.' });
+	}
+	if (!sounds.find(sound => sound.id === id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid sound', message: 'Sound not found.' });
+	}
+
+	const requestedStatistics = filterStatistics(soundStatistics.filter(entry => entry.sound_id === id), req.query);
+
+	if (requestedStatistics.error) return res.status(400).json(requestedStatistics.error);
+	return res.json(requestedStatistics);
+});
+
+apiRouter.get('/statistics', conditionalGet('statistics'), (req, res) => { // eslint-disable-line complexity
+	const { from, to, equals, over, under, groupBy, aggregate = 'sum' } = req.query;
+	const weekStart = req.query.weekStart !== undefined ? parseInt(req.query.weekStart) : 1; // Weeks start on monday by default
+
+	if (!groupBy) {
+		const requestedStatistics = filterStatistics(statistics, req.query);
+
+		if (requestedStatistics.error) return res.status(400).json(requestedStatistics.error);
+		return res.json(requestedStatistics);
+	}
+
+	if (!statisticsGroupings.hasOwnProperty(groupBy)) {
+		return res.status(400).json({ code: 400, name: 'Invalid grouping', message: 'The "groupBy" parameter must be "day", "week", "month" or "year".' });
+	}
+	if (!statisticsAggregates.hasOwnProperty(aggregate)) {
+		return res.status(400).json({ code: 400, name: 'Invalid aggregate', message: 'The "aggregate" parameter must be "sum", "avg" or "max".' });
+	}
+	if (isNaN(weekStart) || weekStart < 0 || weekStart > 6) {
+		return res.status(400).json({ code: 400, name: 'Invalid week start', message: 'The "weekStart" parameter must be an integer from 0 (sunday) to 6.' });
+	}
+
+	let requestedStatistics = filterStatistics(statistics, { from, to });
+	if (requestedStatistics.error) return res.status(400).json(requestedStatistics.error);
+
+	requestedStatistics = aggregateStatistics(requestedStatistics, groupBy, aggregate, weekStart);
+	requestedStatistics = filterStatistics(requestedStatistics, { equals, over, under });
+	// Count filters apply to the aggregated periods rather than the single days
+	if (requestedStatistics.error) return res.status(400).json(requestedStatistics.error);
+
+	return res.json(requestedStatistics);
+});
+
+apiRouter.get('/statistics/chartData', conditionalGet('statistics'), (req, res) => { // eslint-disable-line complexity
+	let requestedChartData = pastChartData.concat(getCurrentChartData());
+	const latestChartMonth = dateFns.parseISO(requestedChartData[requestedChartData.length - 1].month);
+	// Finished months are only aggregated once, the current month always comes last
+
+	if (Object.keys(req.query).length) {
+		const [from, to] = [dateFns.parseISO(req.query.from), dateFns.parseISO(req.query.to)];
+		const [equals, over, under] = [parseInt(req.query.equals), parseInt(req.query.over), parseInt(req.query.under)];
+
+		if ((req.query.from && isNaN(from)) || (req.query.to && isNaN(to))) {
+			// Check if the param was initially provided, and if the input wasn't in the correct format
+			return res.status(400).json({ code: 400, name: 'Wrong Format', message: 'Dates must be provided in yyyy-MM format.' });
+		}
+
+		if ((req.query.from && dateFns.isAfter(from, latestChartMonth)) || (req.query.to && dateFns.isAfter(to, latestChartMonth))) {
+			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'Dates may not be in the future.' });
+		}
+
+		if ((req.query.from && req.query.to) && dateFns.isAfter(from, to)) {
+			return res.status(400).json({ code: 400, name: 'Invalid timespan', message: 'The start date must be before the end date.' });
+		}
+
+		if ((req.query.equals && isNaN(equals)) || (req.query.over && isNaN(over)) || (req.query.under && isNaN(under))) {
+			// Check if the param was initially provided, and if the input wasn't a number
+			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "over", "under" and "equals" parameters must be numbers.' });
+		}
+
+		if ((over && under) && over > under) {
+			return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "under" parameter must be bigger than the "over" parameter.' });
+		}
+
+		// Date filtering
+		if (req.query.from && !req.query.to) {
+			requestedChartData = requestedChartData.filter(data => {
+				const parsedMonth = dateFns.parseISO(data.month);
+				return dateFns.isWithinInterval(parsedMonth, { start: from, end: latestChartMonth });
+			});
+		}
+		else if (!req.query.from && req.query.to) {
+			requestedChartData = requestedChartData.filter(data => {
+				const parsedMonth = dateFns.parseISO(data.month);
+				return dateFns.isSameMonth(parsedMonth, to) || dateFns.isBefore(parsedMonth, to);
+			});
+		}
+		else if (req.query.from && req.query.to) {
+			requestedChartData = requestedChartData.filter(data => {
+				const parsedMonth = dateFns.parseISO(data.month);
+				return dateFns.isWithinInterval(parsedMonth, { start: from, end: to });
+			});
+		}
+
+		// Count filtering
+		if (equals || over || under) {
+			if (equals) {
+				requestedChartData = requestedChartData.filter(data => data.count === equals);
+			}
+			else if (over && !under) {
+				requestedChartData = requestedChartData.filter(data => data.count > over);
+			}
+			else if (!over && under) {
+				requestedChartData = requestedChartData.filter(data => data.count < under);
+			}
+			else if (over && under) {
+				requestedChartData = requestedChartData.filter(data => data.count > over && data.count < under);
+			}
+		}
+	}
+
+	return res.json(requestedChartData);
+});
+
+apiRouter.get('/events', (req, res) => {
+	const realIP = getRealIP(req);
+
+	if (config.socketConnections > 0 && [...eventStreams].filter(stream => stream.realIP === realIP).length >= config.socketConnections) {
+		return res.status(429).json({ code: 429, name: 'Too many connections', message: 'Connection limit for event streams reached.' });
+	} // Event streams are held to the same per-address limit as WebSocket connections
+
+	const [lastBoot, lastEventID] = (req.headers['last-event-id'] || req.query.lastEventId || '').split('-');
+	// Browsers send the header on reconnects, the parameter allows resuming on the first connection
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no' // Prevents nginx from holding back events
+	});
+	res.flushHeaders();
+
+	if (lastBoot) {
+		const lostEvents = eventHistory.length && eventHistory[0].id > parseInt(lastEventID) + 1;
+
+		if (lastBoot !== bootTimestamp || isNaN(parseInt(lastEventID)) || lostEvents) {
+			writeStreamEvent(res, { id: latestEventID, data: { type: 'refresh' } });
+		} // IDs of a previous boot or of events no longer kept can't be replayed, so the client has to fetch everything anew
+		else eventHistory.filter(event => event.id > parseInt(lastEventID)).forEach(event => writeStreamEvent(res, event));
+	}
+
+	res.realIP = realIP;
+	eventStreams.add(res);
+	res.pingInterval = setInterval(() => res.write(': ping\n\n'), 1000 * 45);
+
+	req.on('close', () => {
+		clearInterval(res.pingInterval);
+		return eventStreams.delete(res);
+	});
+});
+
+apiRouter.get('/statistics/summary', conditionalGet('counter'), (req, res) => {
+	return res.json({ alltime: counter, daily, weekly, monthly, yearly, average });
+});
+
+apiRouter.get('/statistics/milestones', conditionalGet('milestones'), (req, res) => {
+	const [reached, sound_id] = [parseInt(req.query.reached), parseInt(req.query.sound_id)];
+	let requestedMilestones = milestones;
+
+	if (!isNaN(reached)) {
+		requestedMilestones = requestedMilestones.filter(ms => ms.reached === reached);
+	}
+	if (!isNaN(sound_id)) {
+		requestedMilestones = requestedMilestones.filter(ms => ms.sound_id === sound_id);
+	}
+
+	return res.json(requestedMilestones);
+});
+
+const adminRoles = ['moderator', 'admin', 'owner']; // In ascending order, each role may do everything the roles before it may
+const adminRoutePermissions = {
+	'/admin/account': 'moderator',
+	'/admin/account/2fa': 'moderator',
+	'/admin/logout': 'moderator',
+	'/admin/notification': 'moderator',
+	'/admin/milestones/add': 'moderator',
+	'/admin/milestones/modify': 'moderator',
+	'/admin/milestones/delete': 'moderator',
+	'/admin/milestones/rules': 'moderator',
+	'/admin/milestones/rules/add': 'moderator',
+	'/admin/milestones/rules/delete': 'moderator',
+	'/admin/sounds/upload': 'admin',
+	'/admin/sounds/modify': 'admin',
+	'/admin/sounds/scan': 'admin',
+	'/admin/sounds/tags': 'admin',
+	'/admin/tags/add': 'admin',
+	'/admin/tags/modify': 'admin',
+	'/admin/tags/delete': 'admin',
+	'/admin/seasonals/add': 'admin',
+	'/admin/seasonals/modify': 'admin',
+	'/admin/seasonals/delete': 'admin',
+	'/admin/seasonals/backgrounds/add': 'admin',
+	'/admin/seasonals/backgrounds/delete': 'admin',
+	'/admin/blocklist': 'admin',
+	'/admin/blocklist/add': 'admin',
+	'/admin/blocklist/modify': 'admin',
+	'/admin/blocklist/delete': 'admin',
+	'/admin/database/save': 'admin'
+}; // Admin routes not listed here are restricted to owners
+
+const apiKeyScopes = ['notifications:write', 'sounds:write', 'milestones:write', 'config:write', 'database:save'];
+const apiKeyRouteScopes = {
+	'/admin/notification': 'notifications:write',
+	'/admin/sounds/upload': 'sounds:write',
+	'/admin/sounds/modify': 'sounds:write',
+	'/admin/sounds/delete': 'sounds:write',
+	'/admin/sounds/trash': 'sounds:write',
+	'/admin/sounds/trash/restore': 'sounds:write',
+	'/admin/sounds/trash/purge': 'sounds:write',
+	'/admin/sounds/scan': 'sounds:write',
+	'/admin/sounds/tags': 'sounds:write',
+	'/admin/tags/add': 'sounds:write',
+	'/admin/tags/modify': 'sounds:write',
+	'/admin/tags/delete': 'sounds:write',
+	'/admin/milestones/add': 'milestones:write',
+	'/admin/milestones/modify': 'milestones:write',
+	'/admin/milestones/delete': 'milestones:write',
+	'/admin/milestones/rules': 'milestones:write',
+	'/admin/milestones/rules/add': 'milestones:write',
+	'/admin/milestones/rules/delete': 'milestones:write',
+	'/admin/config': 'config:write',
+	'/admin/config/updateinterval': 'config:write',
+	'/admin/config/responseinterval': 'config:write',
+	'/admin/config/connectionlimit': 'config:write',
+	'/admin/config/ratelimit': 'config:write',
+	'/admin/database/save': 'database:save'
+}; // Admin routes not listed here can't be used with API keys at all
+
+apiRouter.post('/login', (req, res) => { // Only actual page (not raw API) uses this route
+	const ip = getRealIP(req);
+	const lockout = getLoginLockout(ip);
+	if (lockout) return sendLoginLockout(res, lockout);
+
+	if (typeof req.body.username !== 'string' || typeof req.body.password !== 'string') {
+		return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid username or password provided.' });
+	}
+
+	const admin = admins.find(a => a.username === req.body.username);
+
+	return delayLoginCheck(() => verifyPassword(req.body.password, admin ? admin.password : unusablePasswordHash, (verifyErr, valid) => {
+		if (verifyErr || !valid || !admin) {
+			recordLoginFailure(ip, `'${req.body.username}'`);
+			return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid username or password provided.' });
+		}
+
+		const logIn = () => req.session.regenerate(sessionErr => { // New session ID on login to prevent session fixation
+			if (sessionErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+
+			loginFailures.delete(ip);
+
+			req.session.adminID = admin.id;
+			req.session.ip = ip;
+			req.session.userAgent = req.get('User-Agent') || null;
+			req.session.csrfToken = randomBytes(32).toString('hex');
+			Logger.info(`Admin '${admin.username}' has logged in on the '/login' endpoint.`);
+
+			return res.json({ code: 200, message: 'Successfully logged in!', account: publicAdmin(admin) });
+		});
+
+		if (!admin.totp_enabled) return logIn();
+		if (!req.body.code) {
+			return res.status(401).json({ code: 401, name: 'Code required', message: 'Enter the code from your authenticator app or a recovery code.' });
+		}
+
+		return useTwoFactorCode(admin, req.body.code, (codeErr, validCode) => {
+			if (codeErr) {
+				Logger.error(`An error occurred using the two-factor code of admin '${admin.username}'.`);
+				Logger.error(codeErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+			if (!validCode) {
+				recordLoginFailure(ip, `'${admin.username}' (two-factor code)`);
+				return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid two-factor code provided.' });
+			}
+
+			return logIn();
+		});
+	}));
+});
+
+const stateChangingGetRoutes = ['/admin/logout', '/admin/database/save']; // Need the CSRF token despite being GET routes
+
+apiRouter.all(['/admin/', '/admin/*'], (req, res, next) => {
+	const authorize = admin => {
+		if (!admin) return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid credentials provided.' });
+
+		const requiredRole = adminRoutePermissions[req.path] || 'owner';
+
+		if (adminRoles.indexOf(admin.role) < adminRoles.indexOf(requiredRole)) {
+			return res.status(403).json({ code: 403, name: 'Access denied', message: `This endpoint requires the '${requiredRole}' role.` });
+		}
+
+		req.admin = admin;
+		Logger.info(`Admin '${admin.username}' has sent a request to the '${req.path}' endpoint.`);
+		return next();
+	};
+
+	if (req.session.adminID && !req.headers.authorization) {
+		// Browsers attach the session cookie to cross-site requests too, so changes need the token only the admin panel knows
+		if (!req.session.csrfToken) req.session.csrfToken = randomBytes(32).toString('hex');
+		req.session.ip = getRealIP(req); // Only saved if it changed since the last request
+
+		if ((!['GET', 'HEAD', 'OPTIONS'].includes(req.method) || stateChangingGetRoutes.includes(req.path)) && !hasValidCsrfToken(req)) {
+			return res.status(403).json({ code: 403, name: 'Access denied', message: 'Invalid CSRF token provided.' });
+		}
+
+		return authorize(admins.find(a => a.id === req.session.adminID));
+	}
+
+	const credentials = parseBasicAuth(req.headers.authorization);
+	const isApiKey = typeof req.headers.authorization === 'string' && req.headers.authorization.startsWith('Bearer ');
+	if (!credentials && !isApiKey) return authorize(null); // No credentials at all aren't a failed attempt
+
+	const ip = getRealIP(req);
+
+	if (isApiKey) {
+		const hash = Buffer.from(hashApiKey(req.headers.authorization.slice(7)), 'hex');
+		const apiKey = apiKeys.find(k => timingSafeEqual(Buffer.from(k.hash, 'hex'), hash) && (!k.expires || k.expires > Date.now()));
+
+		if (!apiKey) {
+			const lockout = getLoginLockout(ip);
+			if (lockout) return sendLoginLockout(res, lockout);
+			// Valid API keys are never locked out, so failed logins from the same address can't cut off scripts
+
+			recordLoginFailure(ip, 'an API key');
+			return res.status(401).json({ code: 401, name: 'Access denied', message: 'Invalid API key provided.' });
+		}
+
+		const requiredScope = apiKeyRouteScopes[req.path];
+
+		if (!requiredScope || !apiKey.scopes.split(',').includes(requiredScope)) {
+			const message = requiredScope ? `This endpoint requires the '${requiredScope}' scope.` : 'This endpoint can not be used with API keys.';
+			return res.status(403).json({ code: 403, name: 'Access denied', message });
+		}
+
+		apiKey.last_used = Date.now();
+		db.run('UPDATE api_keys SET last_used = ? WHERE id = ?', apiKey.last_used, apiKey.id);
+
+		req.apiKey = apiKey;
+		Logger.info(`API key '${apiKey.name}' has sent a request to the '${req.path}' endpoint.`);
+		return next();
+	}
+
+	const lockout = getLoginLockout(ip);
+	if (lockout) return sendLoginLockout(res, lockout);
+
+	const admin = admins.find(a => a.username === credentials.username);
+
+	return delayLoginCheck(() => verifyPassword(credentials.password, admin ? admin.password : unusablePasswordHash, (verifyErr, valid) => {
+		if (verifyErr || !valid || !admin) {
+			recordLoginFailure(ip, `'${credentials.username}'`);
+			return authorize(null);
+		}
+
+		loginFailures.delete(ip);
+
+		if (admin.totp_enabled) {
+			// The password alone would skip the second factor, scripts have to use API keys instead
+			return res.status(401).json({ code: 401, name: 'Access denied', message: 'Accounts with two-factor authentication must use the login page.' });
+		}
+
+		return authorize(admin);
+	}));
+});
+
+apiRouter.get('/admin/lockouts', (req, res) => {
+	const now = Date.now();
+	const formatTracker = tracker => ({
+		failures: tracker.failures,
+		lastFailure: tracker.lastFailure || null,
+		lockedUntil: tracker.lockedUntil > now ? tracker.lockedUntil : null
+	});
+
+	return res.json({
+		global: { failures: globalLoginFailures.failures, lastFailure: globalLoginFailures.lastFailure || null, delay: getGlobalLoginDelay(now) },
+		addresses: [...loginFailures].map(([ip, tracker]) => Object.assign({ ip }, formatTracker(tracker)))
+	});
+});
+
+apiRouter.delete('/admin/lockouts/clear', (req, res) => {
+	const data = req.body;
+
+	if (data.ip !== undefined && !loginFailures.has(data.ip)) {
+		return res.status(404).json({ code: 404, name: 'Invalid address', message: 'No failed login attempts recorded for this address.' });
+	}
+
+	const before = data.ip
+		? Object.assign({ ip: data.ip }, loginFailures.get(data.ip))
+		: { addresses: loginFailures.size, globalFailures: globalLoginFailures.failures };
+
+	if (data.ip) {
+		loginFailures.delete(data.ip);
+	}
+	else {
+		loginFailures.clear();
+		Object.assign(globalLoginFailures, { failures: 0, lastFailure: 0 });
+	}
+
+	Logger.info(`Login lockouts cleared for ${data.ip || 'all addresses'}.`);
+	recordAuditEntry(req, before, null);
+
+	return res.json({ code: 200, message: 'Lockouts successfully cleared.', ip: data.ip || null });
+});
+
+apiRouter.get('/admin/sessions', (req, res) => {
+	const query = db.prepare(`SELECT sessions.id, sid, admin_id, username, ip, user_agent, last_seen, expires FROM sessions
+		LEFT JOIN admins ON admins.id = sessions.admin_id WHERE expires > ? ORDER BY last_seen DESC`);
+
+	return query.all(Date.now(), (selectErr, rows) => {
+		if (selectErr) {
+			Logger.error('An error occurred while fetching the sessions.');
+			Logger.error(selectErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'An unexpected error occurred.' });
+		}
+
+		return res.json(rows.map(row => publicSession(row, req.sessionID)));
+	});
+});
+
+apiRouter.delete('/admin/sessions/delete', (req, res) => {
+	const id = parseInt(req.body.id);
+
+	if (isNaN(id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid session', message: 'Session ID must be an integer.' });
+	}
+
+	const query = db.prepare(`SELECT sessions.id, sid, admin_id, username, ip, user_agent, last_seen, expires FROM sessions
+		LEFT JOIN admins ON admins.id = sessions.admin_id WHERE sessions.id = ? AND expires > ?`);
+
+	return query.get(id, Date.now(), (selectErr, row) => {
+		if (selectErr) {
+			Logger.error('An error occurred while fetching the session, logging out aborted.');
+			Logger.error(selectErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		if (!row) return res.status(404).json({ code: 404, name: 'Invalid session', message: 'Session not found.' });
+
+		const endedSession = publicSession(row, req.sessionID);
+
+		return db.run('DELETE FROM sessions WHERE id = ?', id, deleteErr => {
+			if (deleteErr) {
+				Logger.error('An error occurred while deleting the database entry, logging out aborted.');
+				Logger.error(deleteErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+
+			Logger.info(`Session of admin '${row.username}' from ${row.ip} has been logged out.`);
+			recordAuditEntry(req, endedSession, null);
+
+			return res.json({ code: 200, message: 'Session successfully logged out.', session: endedSession });
+		});
+	});
+});
+
+apiRouter.get('/admin/logout', (req, res) => {
+	req.session.destroy();
+	Logger.info(`Admin '${req.admin.username}' has logged out of the admin panel.`);
+	return res.json({ code: 200, message: 'Successfully logged out!' });
+});
+
+apiRouter.get('/admin/account', (req, res) => {
+	const account = publicAdmin(req.admin);
+	if (req.session.adminID && !req.headers.authorization) account.csrfToken = req.session.csrfToken;
+
+	return res.json(account);
+});
+
+apiRouter.patch('/admin/account', (req, res) => {
+	const data = req.body;
+
+	if (typeof data.currentPassword !== 'string' || typeof data.password !== 'string') {
+		return res.status(400).json({ code: 400, name: 'Invalid password', message: 'Current and new password must be provided.' });
+	}
+	if (data.password.length < 8) {
+		return res.status(400).json({ code: 400, name: 'Invalid password', message: 'Password must be a string of at least 8 characters.' });
+	}
+
+	return verifyPassword(data.currentPassword, req.admin.password, (verifyErr, valid) => {
+		if (verifyErr || !valid) {
+			return res.status(401).json({ code: 401, name: 'Access denied', message: 'Current password is incorrect.' });
+		}
+
+		return hashPassword(data.password, (hashErr, password) => {
+			if (hashErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+
+			return db.run('UPDATE admins SET password = ? WHERE id = ?', password, req.admin.id, updateErr => {
+				if (updateErr) {
+					Logger.error(`An error occurred updating the password of admin '${req.admin.username}'.`);
+					Logger.error(updateErr);
+					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+				}
+
+				req.admin.password = password;
+				Logger.info(`Admin '${req.admin.username}' has changed their password.`);
+				recordAuditEntry(req, null, { passwordChanged: true, account: publicAdmin(req.admin) });
+
+				return res.json({ code: 200, message: 'Password successfully changed.', account: publicAdmin(req.admin) });
+			});
+		});
+	});
+});
+
+apiRouter.post('/admin/account/2fa', (req, res) => {
+	if (req.admin.totp_enabled) {
+		return res.status(400).json({ code: 400, name: 'Already enabled', message: 'Two-factor authentication is already enabled for this account.' });
+	}
+
+	const secret = randomBytes(20).toString('hex');
+
+	return db.run('UPDATE admins SET totp_secret = ? WHERE id = ?', secret, req.admin.id, updateErr => {
+		if (updateErr) {
+			Logger.error(`An error occurred starting the two-factor enrolment of admin '${req.admin.username}'.`);
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		req.admin.totp_secret = secret;
+		Logger.info(`Admin '${req.admin.username}' has started setting up two-factor authentication.`);
+
+		const issuer = encodeURIComponent(req.hostname), encodedSecret = encodeBase32(Buffer.from(secret, 'hex'));
+		const label = `${issuer}:${encodeURIComponent(req.admin.username)}`;
+		const uri = `otpauth://totp/${label}?secret=${encodedSecret}&issuer=${issuer}&digits=${totpDigits}&period=${totpPeriod}`;
+
+		return res.json({ code: 200, message: 'Add the secret to your authenticator app and confirm it with a code.', secret: encodedSecret, uri });
+	});
+});
+
+apiRouter.patch('/admin/account/2fa', (req, res) => {
+	const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+	if (req.admin.totp_enabled || !req.admin.totp_secret) {
+		return res.status(400).json({ code: 400, name: 'Not enrolling', message: 'Two-factor authentication has to be set up before it can be confirmed.' });
+	}
+
+	const step = new RegExp(`^\\d{${totpDigits}}$`).test(code) ? findTOTPStep(req.admin.totp_secret, code, null) : null;
+
+	if (step === null) {
+		return res.status(400).json({ code: 400, name: 'Invalid code', message: 'The code does not match, check the time of your device.' });
+	}
+
+	const recoveryCodes = generateRecoveryCodes();
+	const hashedCodes = recoveryCodes.map(hashRecoveryCode).join(',');
+	const before = publicAdmin(req.admin);
+
+	return db.run('UPDATE admins SET totp_enabled = 1, totp_last_step = ?, recovery_codes = ? WHERE id = ?', step, hashedCodes, req.admin.id, updateErr => {
+		if (updateErr) {
+			Logger.error(`An error occurred enabling two-factor authentication for admin '${req.admin.username}'.`);
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		Object.assign(req.admin, { totp_enabled: 1, totp_last_step: step, recovery_codes: hashedCodes });
+		Logger.info(`Admin '${req.admin.username}' has enabled two-factor authentication.`);
+		recordAuditEntry(req, before, publicAdmin(req.admin));
+
+		return res.json({ code: 200, message: 'Two-factor authentication successfully enabled.', recoveryCodes, account: publicAdmin(req.admin) });
+	});
+});
+
+apiRouter.delete('/admin/account/2fa', (req, res) => {
+	if (typeof req.body.currentPassword !== 'string') {
+		return res.status(400).json({ code: 400, name: 'Invalid password', message: 'Current password must be provided.' });
+	}
+	if (!req.admin.totp_secret) {
+		return res.status(400).json({ code: 400, name: 'Not enabled', message: 'Two-factor authentication is not set up for this account.' });
+	}
+
+	return verifyPassword(req.body.currentPassword, req.admin.password, (verifyErr, valid) => {
+		if (verifyErr || !valid) {
+			return res.status(401).json({ code: 401, name: 'Access denied', message: 'Current password is incorrect.' });
+		}
+
+		const before = publicAdmin(req.admin);
+
+		const query = db.prepare('UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL, recovery_codes = NULL WHERE id = ?');
+
+		return query.run(req.admin.id, updateErr => {
+			if (updateErr) {
+				Logger.error(`An error occurred disabling two-factor authentication for admin '${req.admin.username}'.`);
+				Logger.error(updateErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+
+			Object.assign(req.admin, { totp_secret: null, totp_enabled: 0, totp_last_step: null, recovery_codes: null });
+			Logger.info(`Admin '${req.admin.username}' has disabled two-factor authentication.`);
+			recordAuditEntry(req, before, publicAdmin(req.admin));
+
+			return res.json({ code: 200, message: 'Two-factor authentication successfully disabled.', account: publicAdmin(req.admin) });
+		});
+	});
+});
+
+apiRouter.get('/admin/accounts', (req, res) => {
+	return res.json(admins.map(publicAdmin));
+});
+
+apiRouter.all('/admin/accounts/*', (req, res, next) => {
+	const data = req.body;
+	// Passwords are deliberately not trimmed, whitespace is a valid part of them
+
+	if (data.id) data.id = parseInt(data.id);
+	if (typeof data.username === 'string') data.username = data.username.trim();
+
+	if (data.id !== undefined && isNaN(data.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid account', message: 'Account ID must be an integer.' });
+	}
+	if (data.username !== undefined && (typeof data.username !== 'string' || !/^[\w.-]{1,32}$/.test(data.username))) {
+		return res.status(400).json({ code: 400, name: 'Invalid username', message: 'Username must be 1-32 letters, numbers, dots, dashes or underscores.' });
+	}
+	if (data.password !== undefined && (typeof data.password !== 'string' || data.password.length < 8)) {
+		return res.status(400).json({ code: 400, name: 'Invalid password', message: 'Password must be a string of at least 8 characters.' });
+	}
+	if (data.role !== undefined && !adminRoles.includes(data.role)) {
+		return res.status(400).json({ code: 400, name: 'Invalid role', message: `Role must be one of: ${adminRoles.join(', ')}.` });
+	}
+	if (data.id && !admins.find(a => a.id === data.id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid account', message: 'Account not found.' });
+	}
+	if (data.username && admins.find(a => a.username === data.username && a.id !== data.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid username', message: 'Account with submitted username already exists.' });
+	}
+
+	return next();
+});
+
+apiRouter.post('/admin/accounts/add', (req, res) => {
+	const data = req.body;
+
+	if (!data.username || !data.password) {
+		return res.status(400).json({ code: 400, name: 'Invalid account', message: 'Username and password must be provided.' });
+	}
+
+	Logger.info(`Admin account '${data.username}' now being added.`);
+
+	return hashPassword(data.password, (hashErr, password) => {
+		if (hashErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+
+		const latestID = admins.length ? admins[admins.length - 1].id : 0;
+		const newAdmin = { id: latestID + 1, username: data.username, password, role: data.role || 'moderator', created: Date.now() };
+
+		const query = db.prepare('INSERT INTO admins ( id, username, password, role, created ) VALUES ( ?, ?, ?, ?, ? )');
+		query.run(...Object.values(newAdmin), insertErr => {
+			if (insertErr) {
+				Logger.error('An error occurred creating the database entry, addition aborted.');
+				Logger.error(insertErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+			Logger.info('(1/2): Database entry successfully created.');
+
+			admins.push(newAdmin);
+			Logger.info('(2/2): Admin account cache entry successfully created.');
+			recordAuditEntry(req, null, publicAdmin(newAdmin));
+
+			return res.json({ code: 200, message: 'Account successfully added.', account: publicAdmin(newAdmin) });
+		});
+	});
+});
+
+apiRouter.patch('/admin/accounts/modify', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid account', message: 'Account ID must be provided.' });
+	}
+	if (!['username', 'password', 'role'].some(p => Object.keys(data).includes(p))) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+
+	const changedAdmin = admins.find(a => a.id === data.id);
+
+	if (changedAdmin.role === 'owner' && data.role && data.role !== 'owner' && admins.filter(a => a.role === 'owner').length === 1) {
+		return res.status(400).json({ code: 400, name: 'Invalid role', message: 'The last owner account can not be demoted.' });
+	}
+
+	Logger.info(`Admin account '${changedAdmin.username}' now being modified.`);
+	const previousAdmin = publicAdmin(changedAdmin);
+
+	const updateAccount = password => {
+		const changedProperties = {};
+		if (data.username) changedProperties.username = data.username;
+		if (password) changedProperties.password = password;
+		if (data.role) changedProperties.role = data.role;
+
+		const columnPlaceholders = Object.keys(changedProperties).map(k => `"${k}" = ?`).join(', ');
+
+		const query = db.prepare(`UPDATE admins SET ${columnPlaceholders} WHERE id = ?`);
+		return query.run(...Object.values(changedProperties), data.id, updateErr => {
+			if (updateErr) {
+				Logger.error('An error occurred updating the database entry, modification aborted.');
+				Logger.error(updateErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+			Logger.info('(1/2): Database entry successfully updated.');
+
+			Object.assign(changedAdmin, changedProperties);
+			Logger.info('(2/2): Admin account cache entry successfully updated.');
+			recordAuditEntry(req, previousAdmin, Object.assign({ passwordChanged: Boolean(password) }, publicAdmin(changedAdmin)));
+
+			return res.json({ code: 200, message: 'Account successfully modified.', account: publicAdmin(changedAdmin) });
+		});
+	};
+
+	if (!data.password) return updateAccount();
+
+	return hashPassword(data.password, (hashErr, password) => {
+		if (hashErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		return updateAccount(password);
+	});
+});
+
+apiRouter.delete('/admin/accounts/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid account', message: 'Account ID must be provided.' });
+	}
+
+	const deletedAdmin = admins.find(a => a.id === data.id);
+
+	if (deletedAdmin.role === 'owner' && admins.filter(a => a.role === 'owner').length === 1) {
+		return res.status(400).json({ code: 400, name: 'Invalid account', message: 'The last owner account can not be deleted.' });
+	}
+
+	Logger.info(`Admin account '${deletedAdmin.username}' now being deleted.`);
+
+	const query = db.prepare('DELETE FROM admins WHERE id = ?');
+	return query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		admins.splice(admins.findIndex(a => a.id === deletedAdmin.id), 1);
+		Logger.info('(2/2): Admin account cache entry successfully deleted.');
+		recordAuditEntry(req, publicAdmin(deletedAdmin), null);
+		// Sessions of the deleted account are rejected from now on, as their account can't be found anymore
+
+		return res.json({ code: 200, message: 'Account successfully deleted.', account: publicAdmin(deletedAdmin) });
+	});
+});
+
+apiRouter.get('/admin/keys', (req, res) => {
+	return res.json(apiKeys.map(publicApiKey));
+});
+
+apiRouter.all('/admin/keys/*', (req, res, next) => { // eslint-disable-line complexity
+	const data = req.body;
+
+	if (data.id) data.id = parseInt(data.id);
+	if (typeof data.name === 'string') data.name = data.name.trim();
+	if (typeof data.scopes === 'string') data.scopes = data.scopes.split(',').map(scope => scope.trim()).filter(scope => scope);
+	if (data.expires === '' || data.expires === null) delete data.expires;
+	else if (data.expires !== undefined) data.expires = parseInt(data.expires);
+
+	if (data.id !== undefined && isNaN(data.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid key', message: 'API key ID must be an integer.' });
+	}
+	if (data.name !== undefined && (typeof data.name !== 'string' || !data.name || data.name.length > 64)) {
+		return res.status(400).json({ code: 400, name: 'Invalid name', message: 'API key name must be a string of 1-64 characters.' });
+	}
+	if (data.scopes !== undefined && (!Array.isArray(data.scopes) || !data.scopes.length || data.scopes.some(scope => !apiKeyScopes.includes(scope)))) {
+		return res.status(400).json({ code: 400, name: 'Invalid scopes', message: `Scopes must be a list of: ${apiKeyScopes.join(', ')}.` });
+	}
+	if (data.expires !== undefined && (isNaN(data.expires) || data.expires <= Date.now())) {
+		return res.status(400).json({ code: 400, name: 'Invalid expiry', message: 'Expiry must be a timestamp in the future if provided.' });
+	}
+	if (data.id && !apiKeys.find(k => k.id === data.id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid key', message: 'API key not found.' });
+	}
+
+	return next();
+});
+
+apiRouter.post('/admin/keys/add', (req, res) => {
+	const data = req.body;
+
+	if (!data.name || !data.scopes) {
+		return res.status(400).json({ code: 400, name: 'Invalid key', message: 'API key name and scopes must be provided.' });
+	}
+
+	Logger.info(`API key '${data.name}' now being issued.`);
+
+	const key = randomBytes(24).toString('hex');
+	const latestID = apiKeys.length ? apiKeys[apiKeys.length - 1].id : 0;
+	const newKey = {
+		id: latestID + 1,
+		name: data.name,
+		hash: hashApiKey(key),
+		scopes: [...new Set(data.scopes)].join(','),
+		expires: data.expires || null,
+		last_used: null,
+		created: Date.now()
+	};
+
+	const query = db.prepare('INSERT INTO api_keys ( id, name, hash, scopes, expires, last_used, created ) VALUES ( ?, ?, ?, ?, ?, ?, ? )');
+	return query.run(...Object.values(newKey), insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, issuing aborted.');
+			Logger.error(insertErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully created.');
+
+		apiKeys.push(newKey);
+		Logger.info('(2/2): API key cache entry successfully created.');
+		recordAuditEntry(req, null, publicApiKey(newKey));
+
+		// The key itself is only ever shown in this response, only its hash is stored
+		return res.json({ code: 200, message: 'API key successfully issued.', key, apiKey: publicApiKey(newKey) });
+	});
+});
+
+apiRouter.delete('/admin/keys/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid key', message: 'API key ID must be provided.' });
+	}
+
+	const revokedKey = apiKeys.find(k => k.id === data.id);
+	Logger.info(`API key '${revokedKey.name}' now being revoked.`);
+
+	const query = db.prepare('DELETE FROM api_keys WHERE id = ?');
+	return query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, revoking aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		apiKeys.splice(apiKeys.findIndex(k => k.id === revokedKey.id), 1);
+		Logger.info('(2/2): API key cache entry successfully deleted.');
+		recordAuditEntry(req, publicApiKey(revokedKey), null);
+
+		return res.json({ code: 200, message: 'API key successfully revoked.', apiKey: publicApiKey(revokedKey) });
+	});
+});
+
+apiRouter.get('/admin/audit', (req, res) => {
+	const { actor, route } = req.query;
+	const [from, to] = [parseInt(req.query.from), parseInt(req.query.to)];
+	const limit = req.query.limit ? parseInt(req.query.limit) : 50, offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+	if ((req.query.from && isNaN(from)) || (req.query.to && isNaN(to))) {
+		return res.status(400).json({ code: 400, name: 'Invalid range', message: 'The "from" and "to" parameters must be timestamps.' });
+	}
+	if (isNaN(limit) || limit < 1 || limit > 500 || isNaN(offset) || offset < 0) {
+		return res.status(400).json({ code: 400, name: 'Invalid page', message: 'The "limit" parameter must be within 1-500 and "offset" not negative.' });
+	}
+
+	const conditions = [], values = [];
+
+	if (actor) {
+		conditions.push('actor = ?');
+		values.push(actor.toString());
+	}
+	if (route) {
+		conditions.push('route LIKE ?');
+		values.push(`%${route.toString()}%`);
+	}
+	if (!isNaN(from)) {
+		conditions.push('timestamp >= ?');
+		values.push(from);
+	}
+	if (!isNaN(to)) {
+		conditions.push('timestamp <= ?');
+		values.push(to);
+	}
+
+	const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+	return db.get(`SELECT COUNT(*) AS total FROM audit_log ${whereClause}`, values, (countErr, row) => {
+		if (countErr) {
+			Logger.error('An error occurred counting the audit log entries.');
+			Logger.error(countErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		const query = `SELECT * FROM audit_log ${whereClause} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`;
+
+		return db.all(query, values.concat(limit, offset), (selectErr, rows) => {
+			if (selectErr) {
+				Logger.error('An error occurred fetching the audit log entries.');
+				Logger.error(selectErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+
+			rows.forEach(entry => {
+				entry.before = JSON.parse(entry.before);
+				entry.after = JSON.parse(entry.after);
+			});
+
+			res.set('X-Total-Count', row.total);
+			return res.json(rows);
+		});
+	});
+});
+
+apiRouter.all('/admin/sounds/*', (req, res, next) => { // eslint-disable-line complexity
+	const originalData = req.body;
+	const parsedData = {};
+
+	Object.keys(originalData).forEach(d => {
+		if (!isNaN(parseInt(originalData[d]))) return parsedData[d] = parseInt(originalData[d]);
+		else if (typeof originalData[d] === 'string') return parsedData[d] = originalData[d].trim();
+		else return parsedData[d] = originalData[d];
+	});
+
+	if (parsedData.filename === '') {
+		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename may not be an empty string if provided.' });
+	}
+	if (parsedData.filename && sounds.find(sound => sound.filename === parsedData.filename)) {
+		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename already in use.' });
+	}
+	if (parsedData.filename && trashedSounds.find(sound => sound.filename === parsedData.filename)) {
+		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename in use by a trashed sound, restore or purge it first.' });
+	}
+	if (parsedData.theme !== undefined && !themes.find(theme => theme.name === parsedData.theme.toString())) {
+		return res.status(404).json({ code: 404, name: 'Invalid theme', message: 'Theme not found.' });
+	}
+	if (parsedData.count === '' || (originalData.count !== undefined && isNaN(parsedData.count))) {
+		return res.status(400).json({ code: 400, name: 'Invalid count', message: 'Sound click count must be an integer if provided.' });
+	}
+	if (originalData.id !== undefined && isNaN(parseInt(parsedData.id))) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be an integer.' });
+	}
+	if (parsedData.id !== undefined && !(req.path.startsWith('/admin/sounds/trash') ? trashedSounds : sounds).find(sound => sound.id === parsedData.id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid sound', message: 'Sound not found.' });
+	} // Trash routes only know trashed sounds, all others only those that aren't
+
+	if (parsedData.filename) parsedData.filename = parsedData.filename.toString();
+	['duration', 'bitrate', 'sample_rate', 'formats'].forEach(key => delete parsedData[key]); // Only ever read from the sound files themselves
+	if (originalData.tags !== undefined) parsedData.tags = originalData.tags; // Tag names like '3d' aren't meant to be parsed as integers
+	if (parsedData.displayname) parsedData.displayname = parsedData.displayname.toString();
+	if (parsedData.theme) parsedData.theme = parsedData.theme.toString();
+	if (parsedData.source) parsedData.source = parsedData.source.toString();
+
+	req.body = parsedData;
+
+	return next();
+});
+
+function removeTemporaryFiles(files) {
+	files.forEach(file => unlink(file.path, delError => {
+		if (delError) {
+			Logger.error(`An error occurred deleting the temporary file '${file.filename}', please check manually.`);
+			return Logger.error(delError);
+		}
+	}));
+}
+
+function receiveSoundFiles(req, res, next) {
+	// Configurations from before these limits existed still get the default ones
+	const maxSize = config.maxSoundSize || 1024, maxDuration = config.maxSoundDuration || 30;
+	const upload = multer({ dest: './resources/temp', limits: { fileSize: maxSize > 0 ? maxSize * 1024 : Infinity } }).array('file', soundFormats.length);
+
+	return upload(req, res, uploadErr => {
+		if (uploadErr && uploadErr.code === 'LIMIT_FILE_SIZE') {
+			return res.status(413).json({ code: 413, name: 'Invalid file', message: `Sound files may not be larger than ${maxSize} KB.` });
+		}
+		if (uploadErr && uploadErr.code === 'LIMIT_UNEXPECTED_FILE') {
+			return res.status(400).json({ code: 400, name: 'Invalid file', message: `At most ${soundFormats.length} sound files may be provided.` });
+		}
+		if (uploadErr) {
+			Logger.error('An error occurred receiving the uploaded files.');
+			Logger.error(uploadErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		if (!req.files || !req.files.length) {
+			const message = `A sound file in one of these formats must be provided: ${soundFormats.join(', ')}.`;
+			return res.status(400).json({ code: 400, name: 'Invalid file', message });
+		}
+
+		const rejectFiles = message => {
+			removeTemporaryFiles(req.files);
+			return res.status(400).json({ code: 400, name: 'Invalid file', message });
+		};
+
+		return readSoundFiles(req.files.map(file => file.path), files => {
+			req.files.forEach((file, index) => Object.assign(file, files[index]));
+			// Formats are told apart by their contents, browsers don't send reliable mimetypes for all of them
+
+			const invalidFile = req.files.find(file => !file.metadata);
+			if (invalidFile) return rejectFiles(`'${invalidFile.originalname}' is not a valid sound file in one of these formats: ${soundFormats.join(', ')}.`);
+			if (maxDuration > 0 && req.files.some(file => file.metadata.duration > maxDuration)) {
+				return rejectFiles(`Sounds may not be longer than ${maxDuration} seconds.`);
+			}
+
+			if (new Set(req.files.map(file => file.format)).size !== req.files.length) return rejectFiles('Only one file per format may be provided.');
+
+			req.files.sort((a, b) => soundFormats.indexOf(a.format) - soundFormats.indexOf(b.format));
+			return next();
+		});
+	});
+}
+
+apiRouter.post('/admin/sounds/upload', receiveSoundFiles, (req, res) => {
+	let newSound;
+
+	// Different encodings of the same sound hardly differ in duration, the most preferred format's data is stored
+	const data = Object.assign(req.body, req.files[0].metadata);
+	if (data.count === undefined) data.count = 0;
+	if (!data.theme) data.theme = 'megumin'; // Default theme
+	if (!data.source) data.source = 'no-source';
+
+	if (!Object.keys(data).includes('filename')) {
+		removeTemporaryFiles(req.files);
+		return res.status(400).json({ code: 400, name: 'Invalid filename', message: 'Sound filename must be provided.' });
+	}
+	if (!themes.find(theme => theme.name === data.theme.toString())) {
+		removeTemporaryFiles(req.files);
+		return res.status(404).json({ code: 404, name: 'Invalid theme', message: 'Theme not found.' });
+	} // The sounds route middleware runs before multipart bodies are parsed, so uploads are checked here
+
+	const formats = req.files.map(file => file.format);
+	data.formats = formats.join(',');
+
+	Logger.info(`Sound '${data.filename}' (Shown as '${data.displayname}', from '${data.source}', as ${formats.join(', ')}) now being uploaded.`);
+
+	const latestID = Math.max(0, ...sounds.concat(trashedSounds).map(sound => sound.id)); // Trashed sounds keep their IDs until purged
+
+	const valuePlaceholders = '?, '.repeat(Object.keys(data).length).slice(0, -2); // Cut off dangling comma and whitespace
+	const columnNames = Object.keys(data).map(k => `"${k}"`).join(', ');
+
+	const query = db.prepare(`INSERT INTO sounds ( ${columnNames} ) VALUES ( ${valuePlaceholders} )`);
+	query.run(...Object.values(data), insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, upload aborted.');
+			Logger.error(insertErr);
+
+			removeTemporaryFiles(req.files); // Delete temporary files on failure
+
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully created.');
+
+		newSound = {
+			id: latestID + 1,
+			filename: data.filename,
+			displayname: data.displayname || null,
+			source: data.source,
+			count: data.count,
+			theme: data.theme,
+			duration: data.duration,
+			bitrate: data.bitrate,
+			sample_rate: data.sample_rate,
+			formats,
+			tags: []
+		};
+		sounds.push(newSound);
+		updateCacheVersion('sounds');
+
+		Logger.info('(2/3): Sound cache entry successfully created.');
+		recordAuditEntry(req, null, newSound);
+
+		const folderPath = join('./resources/sounds/', cleanString(data.theme), cleanString(data.source));
+		let remainingFiles = req.files.length, failedRename = false;
+
+		return mkdir(folderPath, { recursive: true }, createErr => {
+			if (createErr) {
+				Logger.error('An error occurred creating the new sound folder.');
+				Logger.error(createErr);
+				removeTemporaryFiles(req.files);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+
+			return req.files.forEach(file => {
+				rename(file.path, join(folderPath, `${data.filename}.${file.format}`), renameErr => {
+					remainingFiles--;
+
+					if (renameErr) {
+						Logger.error(`An error occurred renaming the temporary ${file.format} file.`);
+						Logger.error(renameErr);
+						failedRename = true;
+					}
+					else Logger.info(`(3/3): Uploaded ${file.format} file successfully renamed to requested filename.`);
+
+					if (remainingFiles) return; // Answered once every format's file was handled
+
+					emitUpdate({
+						type: 'soundUpload',
+						sound: newSound
+					});
+
+					if (failedRename) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+					return res.json({ code: 200, message: 'Sound successfully uploaded.', sound: newSound });
+				});
+			});
+		});
+	});
+});
+
+apiRouter.get('/admin/sounds/scan', (req, res) => {
+	return scanSounds(scanResult => res.json(scanResult));
+});
+
+apiRouter.post('/admin/sounds/scan', (req, res) => {
+	const data = req.body;
+
+	return scanSounds(({ orphanedFiles }) => {
+		const selectedFiles = orphanedFiles.filter(file => {
+			return (!data.theme || file.theme === data.theme) && (!data.source || cleanString(file.source) === cleanString(data.source.toString()));
+		});
+
+		if (!selectedFiles.length) {
+			return res.status(404).json({ code: 404, name: 'No files', message: 'No sound files without database entries found.' });
+		}
+
+		selectedFiles.sort((a, b) => soundFormats.indexOf(a.format) - soundFormats.indexOf(b.format));
+
+		return readSoundFiles(selectedFiles.map(file => file.importable && join(soundsPath, file.path)), files => {
+			const latestID = Math.max(0, ...sounds.concat(trashedSounds).map(sound => sound.id)); // Trashed sounds keep their IDs until purged
+			const newSounds = [], skippedFiles = [];
+
+			selectedFiles.forEach((file, index) => {
+				const importedSound = newSounds.find(sound => sound.filename === file.filename);
+				const isOtherFolder = importedSound && (importedSound.theme !== file.theme || importedSound.source !== file.source);
+				if (!file.importable || isOtherFolder) return skippedFiles.push(file);
+
+				const metadata = files[index].format === file.format && files[index].metadata;
+				if (!metadata) return skippedFiles.push(Object.assign(file, { importable: false }));
+
+				if (importedSound) return importedSound.formats.push(file.format); // Another format of a sound found earlier
+
+				return newSounds.push(Object.assign({
+					id: latestID + newSounds.length + 1,
+					filename: file.filename,
+					displayname: null,
+					source: file.source,
+					count: 0,
+					theme: file.theme
+				}, metadata, { formats: [file.format] }));
+			}); // Displaynames are left empty like for uploads, which keeps the sounds off the soundboard until they are named
+
+			if (!newSounds.length) {
+				const message = 'All found files are no valid sound files, don\'t match their file extension or have filenames already in use.';
+				return res.status(400).json({ code: 400, name: 'Invalid file', message, skipped: skippedFiles });
+			}
+
+			Logger.info(`${newSounds.length} sounds now being imported.`);
+
+			const columnNames = Object.keys(newSounds[0]).map(k => `"${k}"`).join(', ');
+			const batchSize = Math.floor(sqliteVariableLimit / Object.keys(newSounds[0]).length);
+			const importedSounds = [];
+
+			const insertBatch = callback => {
+				const batch = newSounds.slice(importedSounds.length, importedSounds.length + batchSize);
+				if (!batch.length) return callback(null);
+
+				const valuePlaceholders = batch.map(sound => `( ${'?, '.repeat(Object.keys(sound).length).slice(0, -2)} )`).join(', ');
+				const values = [].concat(...batch.map(sound => Object.values(Object.assign({}, sound, { formats: sound.formats.join(',') }))));
+				const query = db.prepare(`INSERT INTO sounds ( ${columnNames} ) VALUES ${valuePlaceholders}`);
+
+				return query.run(...values, insertErr => {
+					if (insertErr) return callback(insertErr);
+
+					importedSounds.push(...batch);
+					return insertBatch(callback);
+				});
+			}; // Inserted in batches one after another, so large imports stay below the limit of bound variables per statement
+
+			return insertBatch(insertErr => {
+				if (insertErr) {
+					Logger.error(`An error occurred creating the database entries, import aborted after ${importedSounds.length} sounds.`);
+					Logger.error(insertErr);
+				}
+				else Logger.info('(1/2): Database entries successfully created.');
+
+				importedSounds.forEach(sound => sound.tags = []);
+				sounds.push(...importedSounds); // Batches inserted before an error stay in the database, so they're kept in the cache as well
+				if (importedSounds.length) updateCacheVersion('sounds');
+				Logger.info('(2/2): Sound cache entries successfully created.');
+				if (importedSounds.length) recordAuditEntry(req, null, importedSounds);
+
+				importedSounds.forEach(sound => emitUpdate({
+					type: 'soundUpload',
+					sound
+				}));
+
+				if (insertErr) {
+					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.', sounds: importedSounds });
+				}
+				const message = `${importedSounds.length} sounds successfully imported.`;
+				return res.json({ code: 200, message, sounds: importedSounds, skipped: skippedFiles });
+			});
+		});
+	});
+});
+
+apiRouter.patch('/admin/sounds/modify', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be provided.' });
+	}
+	if (!['filename', 'displayname', 'source', 'count', 'theme'].some(p => Object.keys(data).includes(p))) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+
+	const changedSound = sounds.find(sound => sound.id === data.id);
+	const previousSound = Object.assign({}, changedSound);
+	Logger.info(`Sound '${changedSound.filename}' now being modified.`);
+
+	if (!data.filename) data.filename = changedSound.filename;
+
+	const oldFolderPath = join('./resources/sounds/', cleanString(changedSound.theme), cleanString(changedSound.source));
+	const newFolderPath = join('./resources/sounds/', cleanString(data.theme || changedSound.theme), cleanString(data.source || changedSound.source));
+	const movesFiles = data.filename !== changedSound.filename || newFolderPath !== oldFolderPath;
+	const stepAmount = movesFiles ? 5 : 2;
+
+	let columnPlaceholders = '';
+
+	const changedProperties = Object.assign({}, data);
+	delete changedProperties.id; // Only properties to change wanted
+
+	Object.keys(changedProperties).forEach(k => columnPlaceholders += `"${k}" = ?, `);
+	columnPlaceholders = columnPlaceholders.slice(0, -2); // Cut off dangling comma and whitespace
+
+	const query = db.prepare(`UPDATE sounds SET ${columnPlaceholders} WHERE id = ?`);
+
+	query.run(...Object.values(changedProperties), data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred updating the database entry, renaming aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info(`(1/${stepAmount}): Database entry successfully updated.`);
+
+		if (data.filename !== changedSound.filename) saveSoundAlias(changedSound.filename, changedSound.id);
+
+		const oldSoundPaths = changedSound.formats.map(format => join(oldFolderPath, `${changedSound.filename}.${format}`));
+		const newSoundPaths = changedSound.formats.map(format => join(newFolderPath, `${data.filename}.${format}`));
+
+		Object.assign(changedSound, data);
+		updateCacheVersion('sounds');
+
+		Logger.info(`(2/${stepAmount}): Sound cache entry successfully updated.`);
+		recordAuditEntry(req, previousSound, changedSound);
+
+		const finishModification = failedMove => {
+			emitUpdate({
+				type: 'soundModify',
+				sound: changedSound
+			});
+
+			if (failedMove) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			return res.json({ code: 200, message: 'Sound successfully modified.', sound: changedSound });
+		};
+
+		if (!movesFiles) return finishModification(false);
+
+		let remainingFiles = oldSoundPaths.length, failedMove = false;
+
+		const handleFile = fileErr => {
+			remainingFiles--;
+			if (fileErr) failedMove = true;
+			if (!remainingFiles) return finishModification(failedMove); // Answered once every format's file was handled
+		};
+
+		return mkdir(newFolderPath, { recursive: true }, createErr => {
+			if (createErr) {
+				Logger.error('An error occurred creating the new sound folder.');
+				Logger.error(createErr);
+				return finishModification(true);
+			}
+
+			return oldSoundPaths.forEach((oldSoundPath, i) => {
+				const format = changedSound.formats[i];
+
+				copyFile(oldSoundPath, `${oldSoundPath}.bak`, copyErr => {
+					if (copyErr) {
+						Logger.error(`An error occurred backing up the original ${format} file, renaming aborted.`);
+						Logger.error(copyErr);
+						return handleFile(copyErr);
+					}
+					Logger.info(`(3/${stepAmount}): Original ${format} file successfully backed up.`);
+
+					rename(oldSoundPath, newSoundPaths[i], renameErr => {
+						if (renameErr) {
+							Logger.error(`An error occurred renaming the original ${format} file, renaming aborted, restoring backup.`);
+							Logger.error(renameErr);
+							rename(`${oldSoundPath}.bak`, oldSoundPath, backupResErr => {
+								if (backupResErr) return Logger.error(`Backup restoration for the ${format} file failed.`);
+							});
+
+							return handleFile(renameErr);
+						}
+						Logger.info(`(4/${stepAmount}): Original ${format} file successfully renamed.`);
+
+						unlink(`${oldSoundPath}.bak`, unlinkErr => {
+							if (unlinkErr) {
+								Logger.warn(`An error occurred deleting the original ${format} backup, please delete manually.`);
+								return Logger.error(unlinkErr);
+							}
+							Logger.info(`(5/${stepAmount}): Original ${format} backup successfully deleted.`);
+						});
+
+						return handleFile(null);
+					});
+				});
+			}); // Every format of the sound is moved along
+		});
+	});
+});
+
+apiRouter.delete('/admin/sounds/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be provided.' });
+	}
+
+	const deletedSound = sounds.find(sound => sound.id === data.id);
+	const previousSound = Object.assign({}, deletedSound);
+	const deletedAt = Date.now();
+	Logger.info(`Sound '${deletedSound.filename}' now being moved to the trash.`);
+
+	const query = db.prepare('UPDATE sounds SET deleted_at = ? WHERE id = ?');
+	query.run(deletedAt, data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred while marking the database entry as deleted, deletion aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully marked as deleted.');
+
+		return moveSoundFiles(deletedSound, true, failedMove => {
+			if (failedMove) {
+				return db.run('UPDATE sounds SET deleted_at = NULL WHERE id = ?', data.id, revertErr => {
+					if (revertErr) {
+						Logger.error('An error occurred while unmarking the database entry as deleted, please restore the sound manually.');
+						Logger.error(revertErr);
+					}
+					else Logger.info('Database entry successfully unmarked as deleted, deletion aborted.');
+
+					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+				});
+			}
+			Logger.info('(2/3): Sound files successfully moved to the trash.');
+
+			sounds.splice(sounds.findIndex(sound => sound.id === deletedSound.id), 1);
+			deletedSound.deleted_at = deletedAt;
+			trashedSounds.push(deletedSound);
+			updateCacheVersion('sounds');
+			// Statistics, tags and aliases are kept until the sound is purged, so restoring it loses nothing
+			Logger.info('(3/3): Sound cache entry successfully moved to the trash.');
+			recordAuditEntry(req, previousSound, deletedSound);
+
+			emitUpdate({
+				type: 'soundDelete',
+				sound: deletedSound
+			});
+
+			return res.json({ code: 200, message: 'Sound successfully moved to the trash.', sound: deletedSound });
+		});
+	});
+});
+
+apiRouter.get('/admin/sounds/trash', (req, res) => {
+	return res.json(trashedSounds.map(sound => Object.assign({}, sound, { purge_at: getPurgeTime(sound) })));
+});
+
+apiRouter.patch('/admin/sounds/trash/restore', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be provided.' });
+	}
+
+	const restoredSound = trashedSounds.find(sound => sound.id === data.id);
+	const previousSound = Object.assign({}, restoredSound);
+	Logger.info(`Sound '${restoredSound.filename}' now being restored from the trash.`);
+
+	const query = db.prepare('UPDATE sounds SET deleted_at = NULL WHERE id = ?');
+	query.run(data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred while restoring the database entry, restoration aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully restored.');
+
+		return moveSoundFiles(restoredSound, false, failedMove => {
+			if (failedMove) {
+				return db.run('UPDATE sounds SET deleted_at = ? WHERE id = ?', restoredSound.deleted_at, data.id, revertErr => {
+					if (revertErr) {
+						Logger.error('An error occurred while marking the database entry as deleted again, please delete the sound manually.');
+						Logger.error(revertErr);
+					}
+					else Logger.info('Database entry successfully marked as deleted again, restoration aborted.');
+
+					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+				});
+			}
+			Logger.info('(2/3): Sound files successfully moved out of the trash.');
+
+			trashedSounds.splice(trashedSounds.findIndex(sound => sound.id === restoredSound.id), 1);
+			delete restoredSound.deleted_at;
+			sounds.push(restoredSound);
+			sounds.sort((a, b) => a.id - b.id); // Keeps the order sounds were added in
+			updateCacheVersion('sounds');
+
+			Logger.info('(3/3): Sound cache entry successfully restored.');
+			recordAuditEntry(req, previousSound, restoredSound);
+
+			emitUpdate({
+				type: 'soundUpload',
+				sound: restoredSound
+			}); // Clients treat restored sounds like any other new sound
+
+			return res.json({ code: 200, message: 'Sound successfully restored.', sound: restoredSound });
+		});
+	});
+});
+
+apiRouter.delete('/admin/sounds/trash/purge', (req, res) => {
+	const data = req.body;
+
+	const purgedSounds = data.id ? trashedSounds.filter(sound => sound.id === data.id) : trashedSounds.slice();
+	// Without an ID the whole trash is emptied
+
+	if (!purgedSounds.length) {
+		return res.status(400).json({ code: 400, name: 'Empty trash', message: 'There are no trashed sounds to purge.' });
+	}
+
+	Logger.info(`${purgedSounds.length} sounds now being purged from the trash.`);
+
+	return purgeSounds(purgedSounds, purgeErr => {
+		if (purgeErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+
+		recordAuditEntry(req, purgedSounds, null);
+
+		return res.json({ code: 200, message: `${purgedSounds.length} sounds successfully purged.`, sounds: purgedSounds });
+	});
+});
+
+apiRouter.patch('/admin/sounds/tags', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid sound', message: 'Sound ID must be provided.' });
+	}
+	if (data.tags === undefined || data.tags === null) {
+		return res.status(400).json({ code: 400, name: 'Invalid tags', message: 'Sound tags must be provided, an empty list removes all of them.' });
+	}
+
+	const tagNames = parseTagNames(data.tags);
+	const unknownTags = tagNames.filter(name => !tags.some(tag => tag.name === name));
+
+	if (unknownTags.length) {
+		return res.status(400).json({ code: 400, name: 'Invalid tags', message: `Tags must be added before being used, unknown: ${unknownTags.join(', ')}.` });
+	}
+
+	const changedSound = sounds.find(sound => sound.id === data.id);
+	const previousSound = Object.assign({}, changedSound);
+	const tagIDs = tags.filter(tag => tagNames.includes(tag.name)).map(tag => tag.id);
+	Logger.info(`Tags of sound '${changedSound.filename}' now being updated.`);
+
+	db.run('DELETE FROM sound_tags WHERE sound_id = ?', changedSound.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred removing the previous tags from the database, update aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		const finishUpdate = insertErr => {
+			if (insertErr) {
+				Logger.error('An error occurred adding the new tags to the database, update aborted.');
+				Logger.error(insertErr);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			}
+			Logger.info('(1/2): Database entries successfully updated.');
+
+			setSoundTags(changedSound, tagIDs);
+			updateCacheVersion('sounds');
+
+			Logger.info('(2/2): Sound cache entry successfully updated.');
+			recordAuditEntry(req, previousSound, changedSound);
+
+			emitUpdate({
+				type: 'soundModify',
+				sound: changedSound
+			});
+
+			return res.json({ code: 200, message: 'Sound tags successfully updated.', sound: changedSound });
+		};
+
+		if (!tagIDs.length) return finishUpdate(null); // All tags removed, nothing to insert
+
+		const valuePlaceholders = tagIDs.map(() => '( ?, ? )').join(', ');
+		const query = db.prepare(`INSERT INTO sound_tags ( sound_id, tag_id ) VALUES ${valuePlaceholders}`);
+
+		return query.run(...[].concat(...tagIDs.map(tagID => [changedSound.id, tagID])), finishUpdate);
+	});
+});
+
+apiRouter.all('/admin/tags/*', (req, res, next) => {
+	const originalData = req.body;
+	const parsedData = {};
+
+	if (originalData.id !== undefined) parsedData.id = parseInt(originalData.id);
+	if (typeof originalData.name === 'string') parsedData.name = originalData.name.trim().toLowerCase();
+	// Tags are only ever compared in lowercase, so 'Explosion' and 'explosion' can't both exist
+
+	if (originalData.id !== undefined && isNaN(parsedData.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid tag', message: 'Tag ID must be an integer.' });
+	}
+	if (parsedData.id !== undefined && !tags.find(tag => tag.id === parsedData.id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid tag', message: 'Tag not found.' });
+	}
+	if (originalData.name !== undefined && (!parsedData.name || parsedData.name.includes(','))) {
+		return res.status(400).json({ code: 400, name: 'Invalid name', message: 'Tag name must be a non-empty string without commas if provided.' });
+	}
+	if (parsedData.name && tags.find(tag => tag.name === parsedData.name)) {
+		return res.status(400).json({ code: 400, name: 'Invalid name', message: 'Tag name already in use.' });
+	}
+
+	req.body = parsedData;
+
+	return next();
+});
+
+apiRouter.post('/admin/tags/add', (req, res) => {
+	const data = req.body;
+
+	if (!data.name) {
+		return res.status(400).json({ code: 400, name: 'Invalid name', message: 'Tag name must be provided.' });
+	}
+
+	Logger.info(`Tag '${data.name}' now being added.`);
+
+	const latestID = tags.length ? tags[tags.length - 1].id : 0;
+
+	const query = db.prepare('INSERT INTO tags ( name ) VALUES ( ? )');
+	query.run(data.name, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, addition aborted.');
+			Logger.error(insertErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully created.');
+
+		const newTag = {
+			id: latestID + 1,
+			name: data.name
+		};
+		tags.push(newTag);
+		updateCacheVersion('tags');
+
+		Logger.info('(2/2): Tag cache entry successfully created.');
+		recordAuditEntry(req, null, newTag);
+
+		emitUpdate({
+			type: 'tagAdd',
+			tag: newTag
+		});
+
+		return res.json({ code: 200, message: 'Tag successfully added.', tag: newTag });
+	});
+});
+
+apiRouter.patch('/admin/tags/modify', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid tag', message: 'Tag ID must be provided.' });
+	}
+	if (!data.name) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+
+	const changedTag = tags.find(tag => tag.id === data.id);
+	const previousTag = Object.assign({}, changedTag);
+	Logger.info(`Tag '${changedTag.name}' now being renamed to '${data.name}'.`);
+
+	const query = db.prepare('UPDATE tags SET name = ? WHERE id = ?');
+	query.run(data.name, data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred updating the database entry, modification aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully updated.');
+
+		const taggedSounds = sounds.filter(sound => sound.tags.includes(previousTag.name));
+
+		changedTag.name = data.name;
+		taggedSounds.forEach(sound => sound.tags = sound.tags.map(name => name === previousTag.name ? data.name : name).sort());
+		updateCacheVersion('tags', 'sounds');
+
+		Logger.info('(2/2): Tag cache entry successfully updated.');
+		recordAuditEntry(req, previousTag, changedTag);
+
+		emitUpdate({
+			type: 'tagModify',
+			tag: changedTag
+		});
+		taggedSounds.forEach(sound => emitUpdate({
+			type: 'soundModify',
+			sound
+		})); // Keeps clients' sounds up to date without them needing to know about tags
+
+		return res.json({ code: 200, message: 'Tag successfully modified.', tag: changedTag });
+	});
+});
+
+apiRouter.delete('/admin/tags/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid tag', message: 'Tag ID must be provided.' });
+	}
+
+	const deletedTag = tags.find(tag => tag.id === data.id);
+	Logger.info(`Tag '${deletedTag.name}' now being deleted.`);
+
+	const query = db.prepare('DELETE FROM tags WHERE id = ?');
+	query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		const taggedSounds = sounds.filter(sound => sound.tags.includes(deletedTag.name));
+
+		tags.splice(tags.findIndex(tag => tag.id === deletedTag.id), 1);
+		taggedSounds.forEach(sound => sound.tags = sound.tags.filter(name => name !== deletedTag.name));
+		updateCacheVersion('tags', 'sounds');
+		// Database rows of tagged sounds are removed by the foreign key cascade
+		Logger.info('(2/2): Tag cache entry successfully deleted.');
+		recordAuditEntry(req, deletedTag, null);
+
+		emitUpdate({
+			type: 'tagDelete',
+			tag: deletedTag
+		});
+		taggedSounds.forEach(sound => emitUpdate({
+			type: 'soundModify',
+			sound
+		}));
+
+		return res.json({ code: 200, message: 'Tag successfully deleted.', tag: deletedTag });
+	});
+});
+
+function getImageFormat(buffer) {
+	if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpg';
+	if (buffer.toString('latin1', 1, 4) === 'PNG') return 'png';
+	if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+
+	return null;
+}
+
+function receiveAssetFiles(...fields) {
+	const upload = multer({ dest: './resources/temp', limits: { fileSize: maxAssetFileSize * 1024 } }).fields(fields.map(name => ({ name, maxCount: 1 })));
+
+	return (req, res, next) => upload(req, res, uploadErr => {
+		if (uploadErr && uploadErr.code === 'LIMIT_FILE_SIZE') {
+			return res.status(413).json({ code: 413, name: 'Invalid file', message: `Files may not be larger than ${maxAssetFileSize} KB.` });
+		}
+		if (uploadErr && uploadErr.code === 'LIMIT_UNEXPECTED_FILE') {
+			return res.status(400).json({ code: 400, name: 'Invalid file', message: `Only one file each of these may be provided: ${fields.join(', ')}.` });
+		}
+		if (uploadErr) {
+			Logger.error('An error occurred receiving the uploaded files.');
+			Logger.error(uploadErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+
+		const files = {};
+		Object.keys(req.files || {}).forEach(field => files[field] = req.files[field][0]);
+		req.files = files; // One file per field, so there's no need for arrays
+
+		const rejectFiles = message => {
+			removeTemporaryFiles(Object.values(files));
+			return res.status(400).json({ code: 400, name: 'Invalid file', message });
+		};
+
+		const checkFile = index => {
+			const file = Object.values(files)[index];
+			if (!file) return next();
+
+			return readFile(file.path, (readErr, buffer) => {
+				if (readErr) {
+					Logger.error(`An error occurred reading the uploaded file '${file.originalname}'.`);
+					Logger.error(readErr);
+					removeTemporaryFiles(Object.values(files));
+					return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+				}
+
+				if (file.fieldname === 'stylesheet' && buffer.includes(0)) return rejectFiles(`'${file.originalname}' is not a valid stylesheet.`);
+				if (file.fieldname === 'sidebar' && !buffer.toString().includes('<svg')) return rejectFiles(`'${file.originalname}' is not a valid SVG image.`);
+				if (file.fieldname === 'image') {
+					file.format = getImageFormat(buffer);
+					if (!file.format) return rejectFiles(`'${file.originalname}' is not a valid image in one of these formats: jpg, png, webp.`);
+				}
+
+				return checkFile(index + 1);
+			});
+		}; // Told apart by their contents, the names and mimetypes browsers send can't be relied on
+
+		return checkFile(0);
+	});
+}
+
+function parseThemeData(req, res, next) { // eslint-disable-line complexity
+	const data = req.body;
+	const isBackgroundRoute = req.path.startsWith('/admin/themes/backgrounds/');
+	const backgrounds = [].concat(...themes.map(theme => theme.backgrounds));
+
+	if (!req.files) req.files = {};
+	const reject = (code, name, message) => {
+		removeTemporaryFiles(Object.values(req.files));
+		return res.status(code).json({ code, name, message });
+	};
+
+	['name', 'title', 'theme', 'filename', 'displayname'].forEach(key => {
+		if (data[key] !== undefined) data[key] = data[key].toString().trim();
+	});
+	if (data.name) data.name = data.name.toLowerCase();
+	if (data.filename) data.filename = data.filename.toLowerCase();
+	// Names end up in folder names and CSS classes, so they're kept in lowercase
+
+	if (data.id !== undefined && isNaN(parseInt(data.id))) {
+		return reject(400, isBackgroundRoute ? 'Invalid background' : 'Invalid theme', `${isBackgroundRoute ? 'Background' : 'Theme'} ID must be an integer.`);
+	}
+	if (data.id !== undefined) data.id = parseInt(data.id);
+	if (data.id !== undefined && !(isBackgroundRoute ? backgrounds : themes).find(entry => entry.id === data.id)) {
+		return reject(404, isBackgroundRoute ? 'Invalid background' : 'Invalid theme', `${isBackgroundRoute ? 'Background' : 'Theme'} not found.`);
+	}
+	if (data.name !== undefined && !/^[a-z0-9-]+$/.test(data.name)) {
+		return reject(400, 'Invalid name', 'Theme name must only consist of letters, numbers and dashes.');
+	}
+	if (data.name && themes.find(theme => theme.name === data.name)) {
+		return reject(400, 'Invalid name', 'Theme name already in use.');
+	}
+	if (data.name && getSeasonalBackgrounds().some(background => background.filename.startsWith(`${data.name}_`))) {
+		return reject(400, 'Invalid name', 'Theme name may not be the prefix of a seasonal background\'s filename.');
+	} // Backgrounds are assigned to themes by the prefix of their filename
+	if (data.title === '') {
+		return reject(400, 'Invalid title', 'Theme title may not be an empty string if provided.');
+	}
+	if (data.theme !== undefined && !themes.find(theme => theme.name === data.theme)) {
+		return reject(404, 'Invalid theme', 'Theme not found.');
+	}
+	if (data.filename !== undefined && !/^[a-z0-9_-]+$/.test(data.filename)) {
+		return reject(400, 'Invalid filename', 'Background filename must only consist of letters, numbers, dashes and underscores.');
+	}
+	if (data.filename && backgrounds.concat(getSeasonalBackgrounds()).find(background => background.filename === data.filename)) {
+		return reject(400, 'Invalid filename', 'Background filename already in use.');
+	}
+	if (data.displayname === '') {
+		return reject(400, 'Invalid displayname', 'Background displayname may not be an empty string if provided.');
+	}
+
+	return next();
+}
+
+function storeAssetFiles(files, callback) {
+	let remainingFiles = files.length, failedStore = false;
+	if (!remainingFiles) return callback(false);
+
+	const fileHandled = storeErr => {
+		remainingFiles--;
+
+		if (storeErr) {
+			Logger.error('An error occurred storing an uploaded file.');
+			Logger.error(storeErr);
+			failedStore = true;
+		}
+
+		if (!remainingFiles) return callback(failedStore); // Called once every file was handled
+	};
+
+	return files.forEach(({ file, url }) => {
+		const filePath = join('./resources', url);
+
+		mkdir(dirname(filePath), { recursive: true }, createErr => {
+			if (createErr) return fileHandled(createErr);
+			return rename(file.path, filePath, fileHandled);
+		});
+	});
+}
+
+function removeAssetFile(url) {
+	if (!url || !['/themes/', '/seasonals/'].some(folder => url.startsWith(folder))) return; // Bundled files are part of the repository
+
+	unlink(join('./resources', url), unlinkErr => {
+		if (unlinkErr) {
+			Logger.warn(`An error occurred deleting the theme file '${url}', please delete manually.`);
+			return Logger.error(unlinkErr);
+		}
+	});
+}
+
+apiRouter.post('/admin/themes/add', receiveAssetFiles('stylesheet', 'sidebar'), parseThemeData, (req, res) => {
+	const data = req.body, files = req.files;
+
+	if (!data.name || !data.title) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'Theme name and title must be provided.' });
+	}
+
+	const uploads = Object.keys(files).map(field => ({ file: files[field], url: `/themes/${data.name}/${themeFileNames[field]}` }));
+	const urls = {};
+	uploads.forEach(upload => urls[upload.file.fieldname] = upload.url);
+
+	Logger.info(`Theme '${data.name}' now being added.`);
+
+	const latestID = Math.max(0, ...themes.map(theme => theme.id));
+
+	const query = db.prepare('INSERT INTO themes ( name, title, stylesheet, sidebar ) VALUES ( ?, ?, ?, ? )');
+	query.run(data.name, data.title, urls.stylesheet || null, urls.sidebar || null, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, adding aborted.');
+			Logger.error(insertErr);
+			removeTemporaryFiles(Object.values(files));
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully created.');
+
+		const newTheme = {
+			id: latestID + 1,
+			name: data.name,
+			title: data.title,
+			stylesheet: urls.stylesheet || null,
+			sidebar: urls.sidebar || null,
+			backgrounds: []
+		};
+		themes.push(newTheme);
+		updateCacheVersion('themes');
+
+		Logger.info('(2/3): Theme cache entry successfully created.');
+		recordAuditEntry(req, null, newTheme);
+
+		return storeAssetFiles(uploads, failedStore => {
+			if (!failedStore) Logger.info('(3/3): Theme files successfully stored.');
+
+			emitUpdate({
+				type: 'themeAdd',
+				theme: newTheme
+			});
+
+			if (failedStore) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			return res.json({ code: 200, message: 'Theme successfully added.', theme: newTheme });
+		});
+	});
+});
+
+apiRouter.patch('/admin/themes/modify', receiveAssetFiles('stylesheet', 'sidebar'), parseThemeData, (req, res) => {
+	const data = req.body, files = req.files;
+
+	if (!data.id) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid theme', message: 'Theme ID must be provided.' });
+	}
+	if (data.name) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid name', message: 'Theme names can\'t be changed, as sounds are stored by them.' });
+	}
+
+	const changedTheme = themes.find(theme => theme.id === data.id);
+	const previousTheme = Object.assign({}, changedTheme);
+	const changes = {};
+
+	if (data.title) changes.title = data.title;
+	['stylesheet', 'sidebar'].forEach(field => {
+		if (files[field]) changes[field] = `/themes/${changedTheme.name}/${themeFileNames[field]}`;
+		else if (data[field] === '') changes[field] = null; // An empty value removes the file
+	});
+
+	if (!Object.keys(changes).length) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+
+	Logger.info(`Theme '${changedTheme.name}' now being modified.`);
+
+	const columnPlaceholders = Object.keys(changes).map(k => `"${k}" = ?`).join(', ');
+
+	const query = db.prepare(`UPDATE themes SET ${columnPlaceholders} WHERE id = ?`);
+	query.run(...Object.values(changes), data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred updating the database entry, modifying aborted.');
+			Logger.error(updateErr);
+			removeTemporaryFiles(Object.values(files));
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully updated.');
+
+		Object.keys(changes).filter(field => changes[field] === null).forEach(field => removeAssetFile(changedTheme[field]));
+		Object.assign(changedTheme, changes);
+		updateCacheVersion('themes');
+
+		Logger.info('(2/3): Theme cache entry successfully updated.');
+		recordAuditEntry(req, previousTheme, changedTheme);
+
+		const uploads = Object.keys(files).map(field => ({ file: files[field], url: changes[field] }));
+
+		return storeAssetFiles(uploads, failedStore => {
+			if (!failedStore) Logger.info('(3/3): Theme files successfully stored.');
+
+			emitUpdate({
+				type: 'themeModify',
+				theme: changedTheme
+			});
+
+			if (failedStore) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			return res.json({ code: 200, message: 'Theme successfully modified.', theme: changedTheme });
+		});
+	});
+});
+
+apiRouter.delete('/admin/themes/delete', parseThemeData, (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid theme', message: 'Theme ID must be provided.' });
+	}
+
+	const deletedTheme = themes.find(theme => theme.id === data.id);
+	const themeSounds = sounds.concat(trashedSounds).filter(sound => sound.theme === deletedTheme.name);
+
+	if (deletedTheme.name === 'megumin') {
+		return res.status(400).json({ code: 400, name: 'Invalid theme', message: 'The default theme can\'t be deleted.' });
+	}
+	if (themeSounds.length) {
+		return res.status(400).json({ code: 400, name: 'Invalid theme', message: `Theme is still used by ${themeSounds.length} sounds.` });
+	}
+
+	Logger.info(`Theme '${deletedTheme.name}' now being deleted.`);
+
+	const query = db.prepare('DELETE FROM themes WHERE id = ?');
+	query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully deleted.');
+
+		themes.splice(themes.findIndex(theme => theme.id === deletedTheme.id), 1);
+		updateCacheVersion('themes');
+		// Database rows of its backgrounds are removed by the foreign key cascade
+		Logger.info('(2/3): Theme cache entry successfully deleted.');
+		recordAuditEntry(req, deletedTheme, null);
+
+		return rm(join(themesPath, deletedTheme.name), { recursive: true, force: true }, removeErr => {
+			if (removeErr) {
+				Logger.warn('An error occurred deleting the theme\'s files, please delete manually.');
+				Logger.error(removeErr);
+			}
+			else Logger.info('(3/3): Theme files successfully deleted.');
+
+			emitUpdate({
+				type: 'themeDelete',
+				theme: deletedTheme
+			});
+
+			return res.json({ code: 200, message: 'Theme successfully deleted.', theme: deletedTheme });
+		});
+	});
+});
+
+apiRouter.post('/admin/themes/backgrounds/add', receiveAssetFiles('image'), parseThemeData, (req, res) => {
+	const data = req.body, files = req.files;
+
+	if (!data.theme || !data.filename || !data.displayname || !files.image) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'Theme, filename, displayname and image must be provided.' });
+	}
+	if (!data.filename.startsWith(`${data.theme}_`)) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid filename', message: `Background filename must start with '${data.theme}_'.` });
+	} // Clients tell which theme a chosen background belongs to by this prefix
+
+	const theme = themes.find(entry => entry.name === data.theme);
+	const image = `/themes/${theme.name}/backgrounds/${data.filename}.${files.image.format}`;
+	Logger.info(`Background '${data.filename}' of theme '${theme.name}' now being added.`);
+
+	const latestID = Math.max(0, ...[].concat(...themes.map(entry => entry.backgrounds)).map(background => background.id));
+
+	const query = db.prepare('INSERT INTO theme_backgrounds ( theme_id, filename, displayname, image ) VALUES ( ?, ?, ?, ? )');
+	query.run(theme.id, data.filename, data.displayname, image, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, adding aborted.');
+			Logger.error(insertErr);
+			removeTemporaryFiles(Object.values(files));
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully created.');
+
+		const newBackground = { id: latestID + 1, theme_id: theme.id, filename: data.filename, displayname: data.displayname, image };
+		theme.backgrounds.push(newBackground);
+		updateCacheVersion('themes');
+
+		Logger.info('(2/3): Theme cache entry successfully updated.');
+		recordAuditEntry(req, null, newBackground);
+
+		return storeAssetFiles([{ file: files.image, url: image }], failedStore => {
+			if (!failedStore) Logger.info('(3/3): Background image successfully stored.');
+
+			emitUpdate({
+				type: 'themeModify',
+				theme
+			});
+
+			if (failedStore) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			return res.json({ code: 200, message: 'Background successfully added.', background: newBackground });
+		});
+	});
+});
+
+apiRouter.delete('/admin/themes/backgrounds/delete', parseThemeData, (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid background', message: 'Background ID must be provided.' });
+	}
+
+	const theme = themes.find(entry => entry.backgrounds.some(background => background.id === data.id));
+	const deletedBackground = theme.backgrounds.find(background => background.id === data.id);
+	Logger.info(`Background '${deletedBackground.filename}' of theme '${theme.name}' now being deleted.`);
+
+	const query = db.prepare('DELETE FROM theme_backgrounds WHERE id = ?');
+	query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		theme.backgrounds.splice(theme.backgrounds.indexOf(deletedBackground), 1);
+		updateCacheVersion('themes');
+		removeAssetFile(deletedBackground.image);
+
+		Logger.info('(2/2): Theme cache entry successfully updated.');
+		recordAuditEntry(req, deletedBackground, null);
+
+		emitUpdate({
+			type: 'themeModify',
+			theme
+		});
+
+		return res.json({ code: 200, message: 'Background successfully deleted.', background: deletedBackground });
+	});
+});
+
+function parseSeasonalData(req, res, next) { // eslint-disable-line complexity
+	const data = req.body;
+	const isBackgroundRoute = req.path.startsWith('/admin/seasonals/backgrounds/');
+	const backgrounds = getSeasonalBackgrounds();
+
+	if (!req.files) req.files = {};
+	const reject = (code, name, message) => {
+		removeTemporaryFiles(Object.values(req.files));
+		return res.status(code).json({ code, name, message });
+	};
+
+	['name', 'start_date', 'end_date', 'notification', 'filename', 'displayname'].forEach(key => {
+		if (data[key] !== undefined && data[key] !== null) data[key] = data[key].toString().trim();
+	});
+	if (data.filename) data.filename = data.filename.toLowerCase(); // Filenames end up in CSS classes, so they're kept in lowercase
+
+	const [entryName, entryTitle] = isBackgroundRoute ? ['Invalid background', 'Background'] : ['Invalid event', 'Seasonal event'];
+
+	if (data.id !== undefined && isNaN(parseInt(data.id))) {
+		return reject(400, entryName, `${entryTitle} ID must be an integer.`);
+	}
+	if (data.id !== undefined) data.id = parseInt(data.id);
+	if (data.id !== undefined && !(isBackgroundRoute ? backgrounds : seasonalEvents).find(entry => entry.id === data.id)) {
+		return reject(404, entryName, `${entryTitle} not found.`);
+	}
+	if (data.event_id !== undefined && !seasonalEvents.find(event => event.id === parseInt(data.event_id))) {
+		return reject(404, 'Invalid event', 'Seasonal event not found.');
+	}
+	if (data.event_id !== undefined) data.event_id = parseInt(data.event_id);
+	if (data.name === '') {
+		return reject(400, 'Invalid name', 'Seasonal event name may not be an empty string if provided.');
+	}
+	if (['start_date', 'end_date'].some(key => data[key] !== undefined && !isValidSeasonalDate(data[key]))) {
+		return reject(400, 'Invalid date', 'Seasonal event start and end dates must be valid dates in the MM-DD format.');
+	}
+	if (data.year === '' || data.year === null) data.year = null; // Events without a year recur every year
+	else if (data.year !== undefined && !/^\d{4}$/.test(data.year.toString())) {
+		return reject(400, 'Invalid year', 'Seasonal event year must be a four-digit integer if provided.');
+	}
+	if (data.year) data.year = parseInt(data.year);
+	if (data.notification === '') data.notification = null; // An empty notification removes it
+	if (data.filename !== undefined && !/^[a-z0-9_-]+$/.test(data.filename)) {
+		return reject(400, 'Invalid filename', 'Background filename must only consist of letters, numbers, dashes and underscores.');
+	}
+	if (data.filename && backgrounds.concat(...themes.map(theme => theme.backgrounds)).find(background => background.filename === data.filename)) {
+		return reject(400, 'Invalid filename', 'Background filename already in use.');
+	}
+	if (data.filename && themes.some(theme => data.filename.startsWith(`${theme.name}_`))) {
+		return reject(400, 'Invalid filename', 'Seasonal background filename may not start with a theme\'s name.');
+	} // Backgrounds are assigned to themes by the prefix of their filename
+	if (data.displayname === '') {
+		return reject(400, 'Invalid displayname', 'Background displayname may not be an empty string if provided.');
+	}
+
+	return next();
+}
+
+apiRouter.post('/admin/seasonals/add', parseSeasonalData, (req, res) => {
+	const data = req.body;
+
+	if (!data.name || !data.start_date || !data.end_date) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'Seasonal event name, start and end date must be provided.' });
+	}
+
+	Logger.info(`Seasonal event '${data.name}' now being added.`);
+
+	const latestID = Math.max(0, ...seasonalEvents.map(event => event.id));
+
+	const query = db.prepare('INSERT INTO seasonal_events ( name, start_date, end_date, year, notification ) VALUES ( ?, ?, ?, ?, ? )');
+	query.run(data.name, data.start_date, data.end_date, data.year || null, data.notification || null, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, adding aborted.');
+			Logger.error(insertErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully created.');
+
+		const newEvent = {
+			id: latestID + 1,
+			name: data.name,
+			start_date: data.start_date,
+			end_date: data.end_date,
+			year: data.year || null,
+			notification: data.notification || null,
+			backgrounds: []
+		};
+		seasonalEvents.push(newEvent);
+		updateCacheVersion('backgrounds');
+
+		Logger.info('(2/2): Seasonal event cache entry successfully created.');
+		recordAuditEntry(req, null, newEvent);
+
+		emitUpdate({
+			type: 'seasonalEventAdd',
+			event: newEvent
+		});
+
+		return res.json({ code: 200, message: 'Seasonal event successfully added.', event: newEvent });
+	});
+});
+
+apiRouter.patch('/admin/seasonals/modify', parseSeasonalData, (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid event', message: 'Seasonal event ID must be provided.' });
+	}
+
+	const changes = {};
+	['name', 'start_date', 'end_date', 'year', 'notification'].forEach(key => {
+		if (data[key] !== undefined) changes[key] = data[key];
+	});
+
+	if (!Object.keys(changes).length) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+
+	const changedEvent = seasonalEvents.find(event => event.id === data.id);
+	const previousEvent = Object.assign({}, changedEvent);
+	Logger.info(`Seasonal event '${changedEvent.name}' now being modified.`);
+
+	const columnPlaceholders = Object.keys(changes).map(k => `"${k}" = ?`).join(', ');
+
+	const query = db.prepare(`UPDATE seasonal_events SET ${columnPlaceholders} WHERE id = ?`);
+	query.run(...Object.values(changes), data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred updating the database entry, modifying aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully updated.');
+
+		Object.assign(changedEvent, changes);
+		updateCacheVersion('backgrounds');
+
+		Logger.info('(2/2): Seasonal event cache entry successfully updated.');
+		recordAuditEntry(req, previousEvent, changedEvent);
+
+		emitUpdate({
+			type: 'seasonalEventModify',
+			event: changedEvent
+		});
+
+		return res.json({ code: 200, message: 'Seasonal event successfully modified.', event: changedEvent });
+	});
+});
+
+apiRouter.delete('/admin/seasonals/delete', parseSeasonalData, (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid event', message: 'Seasonal event ID must be provided.' });
+	}
+
+	const deletedEvent = seasonalEvents.find(event => event.id === data.id);
+	Logger.info(`Seasonal event '${deletedEvent.name}' now being deleted.`);
+
+	const query = db.prepare('DELETE FROM seasonal_events WHERE id = ?');
+	query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		seasonalEvents.splice(seasonalEvents.indexOf(deletedEvent), 1);
+		updateCacheVersion('backgrounds');
+		deletedEvent.backgrounds.forEach(background => removeAssetFile(background.image));
+		// Database rows of its backgrounds are removed by the foreign key cascade
+
+		Logger.info('(2/2): Seasonal event cache entry successfully deleted.');
+		recordAuditEntry(req, deletedEvent, null);
+
+		emitUpdate({
+			type: 'seasonalEventDelete',
+			event: deletedEvent
+		});
+
+		return res.json({ code: 200, message: 'Seasonal event successfully deleted.', event: deletedEvent });
+	});
+});
+
+apiRouter.post('/admin/seasonals/backgrounds/add', receiveAssetFiles('image'), parseSeasonalData, (req, res) => {
+	const data = req.body, files = req.files;
+
+	if (!data.event_id || !data.filename || !data.displayname || !files.image) {
+		removeTemporaryFiles(Object.values(files));
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'Seasonal event ID, filename, displayname and image must be provided.' });
+	}
+
+	const event = seasonalEvents.find(entry => entry.id === data.event_id);
+	const image = `/seasonals/${data.filename}.${files.image.format}`;
+	Logger.info(`Background '${data.filename}' of seasonal event '${event.name}' now being added.`);
+
+	const latestID = Math.max(0, ...getSeasonalBackgrounds().map(background => background.id));
+
+	const query = db.prepare('INSERT INTO seasonal_backgrounds ( event_id, filename, displayname, image ) VALUES ( ?, ?, ?, ? )');
+	query.run(event.id, data.filename, data.displayname, image, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, adding aborted.');
+			Logger.error(insertErr);
+			removeTemporaryFiles(Object.values(files));
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully created.');
+
+		const newBackground = { id: latestID + 1, event_id: event.id, filename: data.filename, displayname: data.displayname, image };
+		event.backgrounds.push(newBackground);
+		updateCacheVersion('backgrounds');
+
+		Logger.info('(2/3): Seasonal event cache entry successfully updated.');
+		recordAuditEntry(req, null, newBackground);
+
+		return storeAssetFiles([{ file: files.image, url: image }], failedStore => {
+			if (!failedStore) Logger.info('(3/3): Background image successfully stored.');
+
+			emitUpdate({
+				type: 'seasonalEventModify',
+				event
+			});
 
-		emitUpdate({
-			type: 'soundModify',
-			sound: changedSound
+			if (failedStore) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			return res.json({ code: 200, message: 'Background successfully added.', background: newBackground });
 		});
-
-		return res.json({ code: 200, message: 'Sound successfully modified.', sound: changedSound });
 	});
 });
 
-apiRouter.delete('/admin/sounds/delete', (req, res) => {
+apiRouter.delete('/admin/seasonals/backgrounds/delete', parseSeasonalData, (req, res) => {
 	const data = req.body;
 
-	const deletedSound = sounds.find(sound => sound.id === data.id);
-	Logger.info(`Sound '${deletedSound.filename}' now being deleted.`); // eslint-disable-line max-len
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid background', message: 'Background ID must be provided.' });
+	}
+
+	const event = seasonalEvents.find(entry => entry.backgrounds.some(background => background.id === data.id));
+	const deletedBackground = event.backgrounds.find(background => background.id === data.id);
+	Logger.info(`Background '${deletedBackground.filename}' of seasonal event '${event.name}' now being deleted.`);
 
-	const query = db.prepare('DELETE FROM sounds WHERE id = ?');
+	const query = db.prepare('DELETE FROM seasonal_backgrounds WHERE id = ?');
 	query.run(data.id, deleteErr => {
 		if (deleteErr) {
 			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
 			Logger.error(deleteErr);
 			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
 		}
-		Logger.info('(1/3): Database entry successfully deleted.');
-
-		sounds.splice(sounds.findIndex(sound => sound.id === deletedSound.id), 1);
-		Logger.info('(2/3): Sound cache entry successfully deleted.');
-
-		const sourceFolder = cleanString(deletedSound.source);
+		Logger.info('(1/2): Database entry successfully deleted.');
 
-		unlink(`./resources/sounds/${deletedSound.theme}/${sourceFolder}/${deletedSound.filename}.mp3`, unlinkErr => {
-			if (unlinkErr) {
-				Logger.error('An error occurred while deleting the mp3 file.');
-				Logger.error(unlinkErr);
-				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
-			}
-			Logger.info('(3/3): mp3 file successfully deleted.');
+		event.backgrounds.splice(event.backgrounds.indexOf(deletedBackground), 1);
+		updateCacheVersion('backgrounds');
+		removeAssetFile(deletedBackground.image);
 
-			emitUpdate({
-				type: 'soundDelete',
-				sound: deletedSound
-			});
+		Logger.info('(2/2): Seasonal event cache entry successfully updated.');
+		recordAuditEntry(req, deletedBackground, null);
 
-			return res.json({ code: 200, message: 'Sound successfully deleted.', sound: deletedSound });
+		emitUpdate({
+			type: 'seasonalEventModify',
+			event
 		});
+
+		return res.json({ code: 200, message: 'Background successfully deleted.', background: deletedBackground });
 	});
 });
 
-apiRouter.all('/admin/milestones/*', (req, res, next) => {
+apiRouter.all('/admin/milestones/*', (req, res, next) => { // eslint-disable-line complexity
 	const originalData = req.body;
 	const parsedData = {};
 
@@ -786,7 +3849,16 @@ apiRouter.all('/admin/milestones/*', (req, res, next) => {
 	if (originalData.reached !== undefined && (parsedData.reached !== 0 && parsedData.reached !== 1)) {
 		return res.status(400).json({ code: 400, name: 'Invalid status', message: 'Milestone reached status must be an integer of either 0 or 1 if provided.' }); // eslint-disable-line max-len
 	} // Checking for undefined because reached property can have value 0 which is falsy but still defined
-	if (originalData.id && !milestones.find(ms => ms.id === parsedData.id)) {
+	if (originalData.value !== undefined && isNaN(parsedData.value)) {
+		return res.status(400).json({ code: 400, name: 'Invalid value', message: 'Milestone rule value must be an integer.' });
+	}
+
+	if (req.path.startsWith('/admin/milestones/rules')) {
+		if (originalData.id && !milestoneRules.find(rule => rule.id === parsedData.id)) {
+			return res.status(404).json({ code: 404, name: 'Invalid rule', message: 'Milestone rule not found.' });
+		} // Rule routes only know rule IDs
+	}
+	else if (originalData.id && !milestones.find(ms => ms.id === parsedData.id)) {
 		return res.status(404).json({ code: 404, name: 'Invalid milestone', message: 'Milestone not found.' });
 	}
 
@@ -798,6 +3870,7 @@ apiRouter.all('/admin/milestones/*', (req, res, next) => {
 apiRouter.post('/admin/milestones/add', (req, res) => {
 	const data = req.body;
 	if (!data.reached) data.reached = 0;
+	delete data.rule_id; // Only milestones generated by rules belong to one
 
 	if (!data.count) {
 		return res.status(400).json({ code: 400, name: 'Invalid count', message: 'Milestone count must be provided.' });
@@ -832,11 +3905,14 @@ apiRouter.post('/admin/milestones/add', (req, res) => {
 				count: data.count,
 				reached: data.reached,
 				timestamp: data.timestamp || null,
-				sound_id: data.sound_id || null
+				sound_id: data.sound_id || null,
+				rule_id: null
 			};
 			milestones.push(newMilestone);
+			updateCacheVersion('milestones');
 
 			Logger.info('(2/2): Milestone cache entry successfully created.');
+			recordAuditEntry(req, null, newMilestone);
 
 			emitUpdate({
 				type: 'milestoneAdd',
@@ -859,6 +3935,7 @@ apiRouter.patch('/admin/milestones/modify', (req, res) => {
 	}
 
 	const changedMilestone = milestones.find(ms => ms.id === data.id);
+	const previousMilestone = Object.assign({}, changedMilestone);
 	Logger.info(`Milestone ${changedMilestone.id} (${changedMilestone.count} clicks) now being modified.`);
 
 	let columnPlaceholders = '';
@@ -883,14 +3960,25 @@ apiRouter.patch('/admin/milestones/modify', (req, res) => {
 		Logger.info('(1/2): Database entry successfully updated.');
 
 		Object.assign(changedMilestone, data);
+		updateCacheVersion('milestones');
 
 		Logger.info('(2/2): Milestone cache entry successfully updated.');
+		recordAuditEntry(req, previousMilestone, changedMilestone);
 
 		emitUpdate({
 			type: 'milestoneModify',
 			milestone: changedMilestone
 		});
 
+		const rule = milestoneRules.find(r => r.id === changedMilestone.rule_id);
+		const hasPendingMilestone = milestones.some(ms => ms.rule_id === changedMilestone.rule_id && !ms.reached);
+
+		if (rule && !previousMilestone.reached && changedMilestone.reached && !hasPendingMilestone) {
+			addRuleMilestone(rule, (addErr, newMilestone) => {
+				if (!addErr) Logger.info(`Next milestone of rule ${rule.id} generated at ${newMilestone.count} clicks.`);
+			});
+		} // Marking a milestone as reached by hand continues its rule the same way reaching it by clicks does
+
 		return res.json({ code: 200, message: 'Milestone successfully modified.', milestone: changedMilestone });
 	});
 });
@@ -915,7 +4003,9 @@ apiRouter.delete('/admin/milestones/delete', (req, res) => {
 		Logger.info('(1/2): Database entry successfully deleted.');
 
 		milestones.splice(milestones.findIndex(ms => ms.id === deletedMilestone.id), 1);
+		updateCacheVersion('milestones');
 		Logger.info('(2/2): Milestone cache entry successfully deleted.');
+		recordAuditEntry(req, deletedMilestone, null);
 
 		emitUpdate({
 			type: 'milestoneDelete',
@@ -926,12 +4016,269 @@ apiRouter.delete('/admin/milestones/delete', (req, res) => {
 	});
 });
 
+const milestoneRuleTypes = ['interval', 'power', 'percentage']; // Every <value> clicks, every power of <value> and every <value>% of the total
+
+apiRouter.get('/admin/milestones/rules', (req, res) => {
+	return res.json(milestoneRules);
+});
+
+apiRouter.post('/admin/milestones/rules/add', (req, res) => {
+	const data = req.body;
+
+	if (!milestoneRuleTypes.includes(data.type)) {
+		return res.status(400).json({ code: 400, name: 'Invalid type', message: `Milestone rule type must be one of ${milestoneRuleTypes.join(', ')}.` });
+	}
+	if (!data.value) {
+		return res.status(400).json({ code: 400, name: 'Invalid value', message: 'Milestone rule value must be provided.' });
+	}
+	if (data.value < (data.type === 'power' ? 2 : 1)) {
+		return res.status(400).json({ code: 400, name: 'Invalid value', message: 'Milestone rule value must be at least 2 for powers and 1 otherwise.' });
+	} // Powers of 1 would never grow past the first milestone
+
+	Logger.info(`Milestone rule of type ${data.type} with value ${data.value} now being added.`);
+
+	const latestID = Math.max(0, ...milestoneRules.map(rule => rule.id));
+
+	const query = db.prepare('INSERT INTO milestone_rules ( type, value ) VALUES ( ?, ? )');
+	query.run(data.type, data.value, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, addition aborted.');
+			Logger.error(insertErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully created.');
+
+		const newRule = { id: latestID + 1, type: data.type, value: data.value };
+		milestoneRules.push(newRule);
+
+		Logger.info('(2/3): Milestone rule cache entry successfully created.');
+		recordAuditEntry(req, null, newRule);
+
+		emitUpdate({
+			type: 'milestoneRuleAdd',
+			rule: newRule
+		});
+
+		return addRuleMilestone(newRule, (addErr, newMilestone) => {
+			if (addErr) return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			Logger.info(`(3/3): First milestone of the rule successfully generated at ${newMilestone.count} clicks.`);
+
+			return res.json({ code: 200, message: 'Milestone rule successfully added.', rule: newRule, milestone: newMilestone });
+		});
+	});
+});
+
+apiRouter.delete('/admin/milestones/rules/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid rule', message: 'Milestone rule ID must be provided.' });
+	}
+
+	const deletedRule = milestoneRules.find(rule => rule.id === data.id);
+	Logger.info(`Milestone rule ${deletedRule.id} (${deletedRule.type} of ${deletedRule.value}) now being deleted.`);
+
+	const removedMilestones = milestones.filter(ms => ms.rule_id === deletedRule.id && !ms.reached);
+	const removedIDs = removedMilestones.map(ms => ms.id);
+	// Reached milestones of the rule are kept as a record, only pending ones go
+
+	return db.run('DELETE FROM milestone_rules WHERE id = ?', data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/3): Database entry successfully deleted.');
+
+		milestones.filter(ms => ms.rule_id === deletedRule.id && ms.reached).forEach(ms => ms.rule_id = null); // Matches the foreign key setting them to null
+		milestoneRules.splice(milestoneRules.findIndex(rule => rule.id === deletedRule.id), 1);
+		updateCacheVersion('milestones');
+		Logger.info('(2/3): Milestone rule cache entry successfully deleted.');
+		recordAuditEntry(req, deletedRule, null);
+
+		emitUpdate({
+			type: 'milestoneRuleDelete',
+			rule: deletedRule
+		});
+
+		return db.run(`DELETE FROM milestones WHERE id IN ( ${removedIDs.map(() => '?').join(', ')} )`, removedIDs, milestoneDeleteErr => {
+			if (milestoneDeleteErr) {
+				Logger.error('An error occurred while deleting the pending milestones of the rule, they were kept without a rule.');
+				Logger.error(milestoneDeleteErr);
+				removedMilestones.forEach(ms => ms.rule_id = null);
+				return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+			} // The rule itself is gone either way, so the kept milestones are plain ones that can still be deleted by hand
+
+			milestones = milestones.filter(ms => !removedMilestones.includes(ms));
+			updateCacheVersion('milestones');
+			Logger.info('(3/3): Pending milestone database and cache entries successfully deleted.');
+
+			removedMilestones.forEach(ms => emitUpdate({
+				type: 'milestoneDelete',
+				milestone: ms
+			}));
+
+			return res.json({ code: 200, message: 'Milestone rule successfully deleted.', rule: deletedRule, milestones: removedMilestones });
+		});
+	});
+});
+
+apiRouter.get('/admin/blocklist', (req, res) => {
+	return res.json(blocklist);
+});
+
+apiRouter.all('/admin/blocklist/*', (req, res, next) => {
+	const originalData = req.body;
+	const parsedData = {};
+
+	Object.keys(originalData).forEach(d => {
+		if (typeof originalData[d] === 'string') return parsedData[d] = originalData[d].trim();
+		else return parsedData[d] = originalData[d];
+	}); // Addresses would be mangled by parseInt, so only the ID and expiry are parsed as integers
+
+	if (originalData.id) parsedData.id = parseInt(originalData.id);
+	if (parsedData.expires === '' || parsedData.expires === 'null') parsedData.expires = null;
+	else if (parsedData.expires !== undefined && parsedData.expires !== null) parsedData.expires = parseInt(parsedData.expires);
+	if (parsedData.reason === '') parsedData.reason = null;
+
+	if (originalData.id && isNaN(parsedData.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid entry', message: 'Blocklist entry ID must be an integer.' });
+	}
+	if (parsedData.address !== undefined && !parseAddressRange(parsedData.address)) {
+		return res.status(400).json({ code: 400, name: 'Invalid address', message: 'Address must be a valid IPv4 or IPv6 address or CIDR range.' });
+	}
+	if (parsedData.expires !== undefined && parsedData.expires !== null && (isNaN(parsedData.expires) || parsedData.expires <= Date.now())) {
+		return res.status(400).json({ code: 400, name: 'Invalid expiry', message: 'Expiry must be a timestamp in the future if provided.' });
+	}
+	if (parsedData.reason !== undefined && parsedData.reason !== null && typeof parsedData.reason !== 'string') {
+		return res.status(400).json({ code: 400, name: 'Invalid reason', message: 'Reason must be a string if provided.' });
+	}
+	if (originalData.id && !blocklist.find(entry => entry.id === parsedData.id)) {
+		return res.status(404).json({ code: 404, name: 'Invalid entry', message: 'Blocklist entry not found.' });
+	}
+
+	req.body = parsedData;
+
+	return next();
+});
+
+apiRouter.post('/admin/blocklist/add', (req, res) => {
+	const data = req.body;
+
+	if (!data.address) {
+		return res.status(400).json({ code: 400, name: 'Invalid address', message: 'Address must be provided.' });
+	}
+
+	Logger.info(`Blocklist entry for '${data.address}' now being added.`);
+
+	if (blocklist.find(entry => entry.address === data.address)) {
+		Logger.error(`A blocklist entry for '${data.address}' already exists, adding aborted.`);
+		return res.status(400).json({ code: 400, name: 'Invalid address', message: 'Blocklist entry with submitted address already exists.' });
+	}
+
+	const latestID = blocklist.length ? blocklist[blocklist.length - 1].id : 0;
+	const newEntry = {
+		id: latestID + 1,
+		address: data.address,
+		reason: data.reason || null,
+		expires: data.expires || null,
+		timestamp: Date.now()
+	};
+
+	const query = db.prepare('INSERT INTO blocklist ( id, address, reason, expires, timestamp ) VALUES ( ?, ?, ?, ?, ? )');
+	query.run(newEntry.id, newEntry.address, newEntry.reason, newEntry.expires, newEntry.timestamp, insertErr => {
+		if (insertErr) {
+			Logger.error('An error occurred creating the database entry, addition aborted.');
+			Logger.error(insertErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully created.');
+
+		blocklist.push(newEntry);
+		kickBlockedSockets();
+
+		Logger.info('(2/2): Blocklist cache entry successfully created.');
+		recordAuditEntry(req, null, newEntry);
+
+		return res.json({ code: 200, message: 'Blocklist entry successfully added.', entry: newEntry });
+	});
+});
+
+apiRouter.patch('/admin/blocklist/modify', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid entry', message: 'Blocklist entry ID must be provided.' });
+	}
+	if (!['address', 'reason', 'expires'].some(p => Object.keys(data).includes(p))) {
+		return res.status(400).json({ code: 400, name: 'Invalid parameters', message: 'At least one property to modify must be provided.' });
+	}
+	if (data.address !== undefined && blocklist.find(entry => entry.address === data.address && entry.id !== data.id)) {
+		return res.status(400).json({ code: 400, name: 'Invalid address', message: 'Blocklist entry with submitted address already exists.' });
+	}
+
+	const changedEntry = blocklist.find(entry => entry.id === data.id);
+	const previousEntry = Object.assign({}, changedEntry);
+	Logger.info(`Blocklist entry ${changedEntry.id} ('${changedEntry.address}') now being modified.`);
+
+	const changedProperties = {};
+	['address', 'reason', 'expires'].filter(p => data[p] !== undefined).forEach(p => changedProperties[p] = data[p]);
+
+	const columnPlaceholders = Object.keys(changedProperties).map(k => `"${k}" = ?`).join(', ');
+
+	const query = db.prepare(`UPDATE blocklist SET ${columnPlaceholders} WHERE id = ?`);
+	query.run(...Object.values(changedProperties), data.id, updateErr => {
+		if (updateErr) {
+			Logger.error('An error occurred updating the database entry, modification aborted.');
+			Logger.error(updateErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully updated.');
+
+		Object.assign(changedEntry, changedProperties);
+		kickBlockedSockets();
+
+		Logger.info('(2/2): Blocklist cache entry successfully updated.');
+		recordAuditEntry(req, previousEntry, changedEntry);
+
+		return res.json({ code: 200, message: 'Blocklist entry successfully modified.', entry: changedEntry });
+	});
+});
+
+apiRouter.delete('/admin/blocklist/delete', (req, res) => {
+	const data = req.body;
+
+	if (!data.id) {
+		return res.status(400).json({ code: 400, name: 'Invalid entry', message: 'Blocklist entry ID must be provided.' });
+	}
+
+	const deletedEntry = blocklist.find(entry => entry.id === data.id);
+	Logger.info(`Blocklist entry ${deletedEntry.id} ('${deletedEntry.address}') now being deleted.`);
+
+	const query = db.prepare('DELETE FROM blocklist WHERE id = ?');
+	query.run(data.id, deleteErr => {
+		if (deleteErr) {
+			Logger.error('An error occurred while deleting the database entry, deletion aborted.');
+			Logger.error(deleteErr);
+			return res.status(500).json({ code: 500, name: 'Serverside error', message: 'Please check the server console.' });
+		}
+		Logger.info('(1/2): Database entry successfully deleted.');
+
+		blocklist.splice(blocklist.findIndex(entry => entry.id === deletedEntry.id), 1);
+		Logger.info('(2/2): Blocklist cache entry successfully deleted.');
+		recordAuditEntry(req, deletedEntry, null);
+
+		return res.json({ code: 200, message: 'Blocklist entry successfully deleted.', entry: deletedEntry });
+	});
+});
+
 apiRouter.post('/admin/notification', (req, res) => {
 	const data = req.body;
 
 	if (!data.duration || !data.text) return res.json({ code: 400, name: 'Invalid notification', message: 'Notification text and duration must be provided.' });
 
 	Logger.info(`Announcement with text '${data.text}' displayed for ${data.duration} seconds.`);
+	recordAuditEntry(req, null, data);
 
 	emitUpdate({
 		type: 'notification',
@@ -945,6 +4292,7 @@ apiRouter.get('/admin/database/save', (req, res) => {
 	updateDatabase();
 
 	Logger.info('Database update initialized via the /admin/database/save endpoint.');
+	recordAuditEntry(req, null, null);
 	return res.json({ code: 200, message: 'Database successfully updated.' });
 });
 
@@ -953,6 +4301,7 @@ apiRouter.get('/admin/config', (req, res) => {
 		updateInterval: config.updateInterval,
 		socketConnections: config.socketConnections,
 		requestsPerMinute: config.requestsPerMinute,
+		ratelimitBurst: config.ratelimitBurst || -1, // Configurations from before the burst existed default to no separate burst
 		responseInterval: config.responseInterval
 	});
 });
@@ -965,6 +4314,8 @@ apiRouter.patch('/admin/config/updateinterval', (req, res) => {
 		return res.status(400).json({ code: 400, name: 'Invalid interval', message: 'Update interval must be any integer above 0.' });
 	}
 
+	recordAuditEntry(req, { interval: config.updateInterval }, { interval: data.interval });
+
 	config.updateInterval = data.interval;
 	databaseUpdateJob.reschedule(`*/${data.interval} * * * *`);
 
@@ -982,6 +4333,8 @@ apiRouter.patch('/admin/config/responseinterval', (req, res) => {
 		return res.status(400).json({ code: 400, name: 'Invalid interval', message: 'Response interval must be either -1 or any number above 0.' });
 	}
 
+	recordAuditEntry(req, { interval: config.responseInterval }, { interval: data.interval });
+
 	if (data.interval === -1) config.responseInterval = -1;
 	else config.responseInterval = data.interval;
 
@@ -1000,10 +4353,12 @@ apiRouter.patch('/admin/config/connectionlimit', (req, res) => {
 		return res.status(400).json({ code: 400, name: 'Invalid limit', message: 'Connections limit must be either -1 or any number above 0.' });
 	}
 
+	recordAuditEntry(req, { connections: config.socketConnections }, { connections: data.connections });
+
 	if (data.connections === -1) config.socketConnections = -1;
 	else config.socketConnections = data.connections;
 
-	manageConnections(data.connections, config.requestsPerMinute);
+	manageConnections(data.connections);
 	updateConfigFile();
 
 	Logger.info(`Connection limit ${data.interval === -1 ? 'disabled' : `set to ${data.connections} connections`}.`);
@@ -1013,19 +4368,26 @@ apiRouter.patch('/admin/config/connectionlimit', (req, res) => {
 apiRouter.patch('/admin/config/ratelimit', (req, res) => {
 	const data = req.body;
 	data.ratelimit = parseInt(data.ratelimit);
+	data.burst = data.burst !== undefined ? parseInt(data.burst) : config.ratelimitBurst || -1;
 
 	if (data.ratelimit < -1 || data.ratelimit === 0 || isNaN(data.ratelimit)) {
 		return res.status(400).json({ code: 400, name: 'Invalid ratelimit', message: 'Ratelimit must be either -1 or any number above 0.' });
 	}
+	if (data.burst < -1 || data.burst === 0 || isNaN(data.burst)) {
+		return res.status(400).json({ code: 400, name: 'Invalid burst', message: 'Burst must be either -1 or any number above 0.' });
+	}
+
+	recordAuditEntry(req, { ratelimit: config.requestsPerMinute, burst: config.ratelimitBurst || -1 }, { ratelimit: data.ratelimit, burst: data.burst });
 
 	if (data.ratelimit === -1) config.requestsPerMinute = -1;
 	else config.requestsPerMinute = data.ratelimit;
+	config.ratelimitBurst = data.burst;
 
-	manageConnections(config.socketConnections, data.ratelimit);
+	manageRatelimitBuckets(); // Existing buckets adjust to the new rates on their next refill
 	updateConfigFile();
 
-	Logger.info(`Ratelimit ${data.ratelimit === -1 ? 'disabled' : `set to ${data.ratelimit} clicks per minute`}.`);
-	return res.json({ code: 200, message: 'Click ratelimit successfully updated', ratelimit: data.ratelimit });
+	Logger.info(`Ratelimit ${data.ratelimit === -1 ? 'disabled' : `set to ${data.ratelimit} clicks per minute with a burst of ${data.burst}`}.`);
+	return res.json({ code: 200, message: 'Click ratelimit successfully updated', ratelimit: data.ratelimit, burst: data.burst });
 });
 
 server.use('/api', apiRouter);
@@ -1033,7 +4395,7 @@ server.use('/api', apiRouter);
 for (const page of pages) {
 	if (page.name === 'admin.html') {
 		server.get(page.route, (req, res) => {
-			if (!req.session.loggedIn) return res.status('401').sendFile('401.html', { root: './pages/error/' });
+			if (!admins.some(a => a.id === req.session.adminID)) return res.status('401').sendFile('401.html', { root: './pages/error/' });
 			else return res.sendFile(page.path);
 		});
 		continue;
@@ -1053,17 +4415,98 @@ http.listen(config.port, () => {
 // Socket server
 const socketServer = new ws.Server({ server: http });
 
+const socketTopics = ['counter', 'crazyMode', 'sounds', 'themes', 'backgrounds', 'milestones', 'notifications', 'admin'];
+const eventTopics = {
+	counterUpdate: ['counter'],
+	crazyMode: ['crazyMode'],
+	soundClick: ['sounds'],
+	bulkSoundUpdate: ['sounds'],
+	soundUpload: ['sounds', 'admin'],
+	soundModify: ['sounds', 'admin'],
+	soundDelete: ['sounds', 'admin'],
+	tagAdd: ['sounds', 'admin'],
+	tagModify: ['sounds', 'admin'],
+	tagDelete: ['sounds', 'admin'],
+	themeAdd: ['themes', 'admin'],
+	themeModify: ['themes', 'admin'],
+	themeDelete: ['themes', 'admin'],
+	seasonalEventAdd: ['backgrounds', 'admin'],
+	seasonalEventModify: ['backgrounds', 'admin'],
+	seasonalEventDelete: ['backgrounds', 'admin'],
+	backgroundsUpdate: ['backgrounds'],
+	milestoneUpdate: ['milestones'],
+	milestoneAdd: ['milestones', 'admin'],
+	milestoneModify: ['milestones', 'admin'],
+	milestoneDelete: ['milestones', 'admin'],
+	milestoneRuleAdd: ['milestones', 'admin'],
+	milestoneRuleDelete: ['milestones', 'admin'],
+	notification: ['notifications']
+};
+
+function writeStreamEvent(stream, event) {
+	return stream.write(`id: ${bootTimestamp}-${event.id}\nevent: ${event.data.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function closeEventStream(stream) {
+	clearInterval(stream.pingInterval);
+	eventStreams.delete(stream);
+	return stream.end();
+}
+
 function emitUpdate(eventData, options = {}) {
-	if (options.excludeSocket) {
-		return socketServer.clients.forEach(socket => {
-			if (socket !== options.excludeSocket) socket.send(JSON.stringify(eventData));
-		});
+	if (!options.targetSocket) {
+		// Everything not aimed at a single socket is also sent to event stream listeners
+		const event = { id: ++latestEventID, data: eventData };
+
+		eventHistory.push(event);
+		if (eventHistory.length > eventHistoryLength) eventHistory.shift();
+
+		eventStreams.forEach(stream => writeStreamEvent(stream, event));
 	}
+
 	if (options.targetSocket) {
 		return options.targetSocket.send(JSON.stringify(eventData));
 	}
 
-	return socketServer.clients.forEach(socket => socket.send(JSON.stringify(eventData)));
+	const topics = eventTopics[eventData.type] || [];
+
+	return socketServer.clients.forEach(socket => {
+		if (socket === options.excludeSocket) return;
+		if (socket.topics && !topics.some(topic => socket.topics.has(topic))) return;
+		// Sockets that never subscribed to any topics receive everything
+
+		socket.send(JSON.stringify(eventData));
+	});
+}
+
+function sendReply(socket, request, reply) {
+	if (request.id !== undefined) reply.id = request.id;
+	else if (reply.type === 'ack') return; // Acknowledgements are only sent to clients that can match them to a message
+
+	return emitUpdate(reply, { targetSocket: socket });
+}
+
+function manageSubscriptions(socket, data) {
+	const topics = Array.isArray(data.topics) ? data.topics.filter(topic => socketTopics.includes(topic)) : [];
+
+	if (!socket.topics) socket.topics = new Set();
+
+	if (data.type === 'subscribe') topics.forEach(topic => socket.topics.add(topic));
+	else topics.forEach(topic => socket.topics.delete(topic));
+}
+
+function recordSoundClick(sound) {
+	const currentDate = dateFns.format(new Date(), 'yyyy-MM-dd');
+	let entry = soundStatistics.find(s => s.sound_id === sound.id && s.date === currentDate);
+
+	if (entry) ++entry.count;
+	else {
+		entry = { sound_id: sound.id, date: currentDate, count: 1 };
+		soundStatistics.push(entry);
+	}
+
+	updateCacheVersion('soundStatistics');
+	return changedSoundStatistics.add(entry); // Saved to the database on the next update
 }
 
 function markMilestoneAchieved(milestone, sound) {
@@ -1072,6 +4515,7 @@ function markMilestoneAchieved(milestone, sound) {
 	Logger.info(`Milestone ${milestone.id} (${milestone.count} clicks) reached! Entry being updated.`);
 
 	Object.assign(milestone, { reached: 1, timestamp, sound_id: sound.id });
+	updateCacheVersion('milestones');
 
 	const query = db.prepare('UPDATE milestones SET reached = ?, timestamp = ?, sound_id = ? WHERE id = ?');
 	query.run(1, timestamp, sound.id, milestone.id, updateErr => {
@@ -1090,10 +4534,62 @@ function markMilestoneAchieved(milestone, sound) {
 			}
 		});
 
-		return emitUpdate({
+		emitUpdate({
 			type: 'milestoneUpdate',
 			milestone: milestone
 		});
+
+		const rule = milestoneRules.find(r => r.id === milestone.rule_id);
+		if (!rule) return;
+
+		return addRuleMilestone(rule, (addErr, newMilestone) => {
+			if (!addErr) Logger.info(`Next milestone of rule ${rule.id} generated at ${newMilestone.count} clicks.`);
+		});
+	});
+}
+
+function getNextRuleCount(rule, after) {
+	let count;
+
+	if (rule.type === 'interval') count = (Math.floor(after / rule.value) + 1) * rule.value;
+	else if (rule.type === 'power') {
+		count = 1;
+		while (count <= after) count *= rule.value;
+	}
+	else count = after + Math.max(Math.ceil(after * rule.value / 100), 1); // Percentage of the total at the time, at least one click ahead
+
+	return milestones.some(ms => ms.count === count) ? getNextRuleCount(rule, count) : count;
+} // Milestone counts are unique, so counts already taken by other milestones are skipped
+
+function addRuleMilestone(rule, callback) {
+	const newMilestone = {
+		id: Math.max(0, ...milestones.map(ms => ms.id)) + 1,
+		count: getNextRuleCount(rule, counter),
+		reached: 0,
+		timestamp: null,
+		sound_id: null,
+		rule_id: rule.id
+	};
+	milestones.push(newMilestone);
+	// Cached before inserting, so rules triggering at the same time can't pick the same ID or count
+
+	const query = db.prepare('INSERT INTO milestones ( id, count, reached, rule_id ) VALUES ( ?, ?, ?, ? )');
+	query.run(newMilestone.id, newMilestone.count, 0, rule.id, insertErr => {
+		if (insertErr) {
+			Logger.error(`An error occurred generating the next milestone of milestone rule ${rule.id}.`);
+			Logger.error(insertErr);
+			milestones.splice(milestones.indexOf(newMilestone), 1);
+			return callback(insertErr);
+		}
+
+		updateCacheVersion('milestones');
+
+		emitUpdate({
+			type: 'milestoneAdd',
+			milestone: newMilestone
+		});
+
+		return callback(null, newMilestone);
 	});
 }
 
@@ -1105,17 +4601,13 @@ function manageResponseIntervals(interval) {
 
 	if (interval > 0) {
 		mainClickResponseInterval = setInterval(() => {
-			const currentDate = dateFns.format(new Date(), 'yyyy-MM-dd');
-			const currentMonth = currentDate.substring(0, 7);
-			const currentMonthData = chartData.find(d => d.month === currentMonth);
-
 			if (queuedMainClicks) {
 				emitUpdate({
 					type: 'counterUpdate',
 					counter,
 					statistics: {
 						summary: { alltime: counter, daily, weekly, monthly, yearly, average },
-						newChartData: currentMonthData
+						newChartData: getCurrentChartData()
 					},
 				});
 				queuedMainClicks = false;
@@ -1136,78 +4628,89 @@ function manageResponseIntervals(interval) {
 
 manageResponseIntervals(config.responseInterval); // Initializes response intervals if they are set
 
+setInterval(manageRatelimitBuckets, 1000 * 60); // Refills, prunes and saves all ratelimit buckets every minute
+setInterval(manageLoginFailures, 1000 * 60 * 10); // Forgets failed login attempts of addresses that stopped trying
+
 socketServer.on('connection', (socket, req) => {
-	socket.realIP = config.proxy ? req.headers['x-real-ip'] : req.connection.remoteAddress;
+	socket.realIP = getRealIP(req);
+
+	if (isBlocked(socket.realIP)) {
+		socket.blocked = true; // Never counted towards the connection limit (see socket close event)
+		return socket.close(4003, 'Blocked');
+	}
 
-	if (config.socketConnections > 0 || config.requestsPerMinute > 0) {
+	if (config.socketConnections > 0) {
 		let user = socketConnections.find(u => u.ip === socket.realIP);
 
 		if (!user) {
-			user = {
-				ip: socket.realIP,
-				connections: 0,
-				ratelimitClicks: 0,
-				ratelimitInterval: null
-			};
+			user = { ip: socket.realIP, connections: 0 };
 			socketConnections.push(user);
 		}
 
-		if (config.socketConnections > 0) {
-			if (user.connections >= config.socketConnections) {
-				socket.limitKicked = true; // For keeping track of decrementing connection count (see socket close event)
-				return socket.close();
-			}
-			else user.connections++;
+		if (user.connections >= config.socketConnections) {
+			socket.limitKicked = true; // For keeping track of decrementing connection count (see socket close event)
+			return socket.close();
 		}
-
-		if (config.requestsPerMinute > 0) {
-			user.ratelimitInterval = setInterval(() => {
-				if (user.connections === 0) {
-					// If user is no longer connected, clear their ratelimit interval and remove their info
-					clearInterval(user.ratelimitInterval);
-					socketConnections.splice(socketConnections.findIndex(u => u.ip === user.ip), 1);
-				}
-				user.ratelimitClicks = 0;
-			}, 1000 * 60);
-		} // Clear ratelimit every 60 seconds
+		else user.connections++;
 	}
 
 	socket.pingInterval = setInterval(() => socket.ping(), 1000 * 45);
 
 	socket.on('message', message => {
-		if (config.requestsPerMinute > 0) {
-			const user = socketConnections.find(u => u.ip === socket.realIP);
-
-			if (user.ratelimitClicks >= config.requestsPerMinute) return;
-			else user.ratelimitClicks++;
-		}
-
-		let data;
+		let data, remaining;
 
 		try {
 			data = JSON.parse(message);
 		}
 		catch (e) {
-			data = {};
+			data = null;
 		}
 
-		if (!['click', 'sbClick'].includes(data.type)) return;
+		if (!data || typeof data !== 'object' || Array.isArray(data)) data = {};
+		const malformed = typeof data.type !== 'string'; // Objects keep their ID even then, so clients can match the error to their message
 
-		if (data.type === 'click') {
-			const soundEntry = sounds.find(s => s.filename === data.soundFilename);
+		if (['subscribe', 'unsubscribe'].includes(data.type)) {
+			manageSubscriptions(socket, data);
+			return sendReply(socket, data, { type: 'ack', topics: [...socket.topics] });
+		} // Not charged, clients resubscribe after every reconnect and shouldn't be limited before clicking
+
+		if (config.requestsPerMinute > 0) {
+			const ratelimit = consumeRatelimitToken(socket.realIP);
+
+			if (ratelimit.limited) {
+				return sendReply(socket, data, {
+					type: 'error', code: 'RATE_LIMITED', message: 'Ratelimit reached, try again later.', remaining: 0, retryAfter: ratelimit.retryAfter
+				});
+			}
+
+			remaining = ratelimit.remaining;
+		} // Every other message is charged before it is answered, so errors can't be had for free
+
+		if (malformed) {
+			return sendReply(socket, data, { type: 'error', code: 'BAD_MESSAGE', message: 'Messages must be JSON objects with a type.', remaining });
+		}
+
+		if (!['click', 'sbClick'].includes(data.type)) {
+			return sendReply(socket, data, { type: 'error', code: 'UNKNOWN_TYPE', message: 'Unknown message type.', remaining });
+		}
+
+		const soundEntry = findSound(data.soundFilename);
 
-			if (!soundEntry) return;
+		if (!soundEntry) {
+			return sendReply(socket, data, { type: 'error', code: 'UNKNOWN_SOUND', message: 'Sound not found.', remaining });
+		}
+
+		sendReply(socket, data, { type: 'ack', remaining });
 
+		if (data.type === 'click') {
 			const currentDate = dateFns.format(new Date(), 'yyyy-MM-dd');
-			const currentMonth = currentDate.substring(0, 7);
-			const currentMonthData = chartData.find(d => d.month === currentMonth);
 
 			++counter;
 			++daily; ++weekly;
 			++monthly; ++yearly;
 			average = Math.round(monthly / fetchedDaysAmount);
 
-			currentMonthData ? ++currentMonthData.count : chartData.push({ count: 1, month: currentMonth });
+			recordSoundClick(soundEntry);
 
 			const currentStatistics = statistics.find(s => s.date === currentDate);
 			if (currentStatistics) currentStatistics.count = daily;
@@ -1218,6 +4721,7 @@ socketServer.on('connection', (socket, req) => {
 					count: daily
 				});
 			}
+			updateCacheVersion('counter', 'statistics');
 
 			const reachedMilestone = milestones.find(ms => ms.count <= counter && !ms.reached);
 			if (reachedMilestone) markMilestoneAchieved(reachedMilestone, soundEntry);
@@ -1238,17 +4742,17 @@ socketServer.on('connection', (socket, req) => {
 					counter,
 					statistics: {
 						summary: { alltime: counter, daily, weekly, monthly, yearly, average },
-						newChartData: currentMonthData
+						newChartData: getCurrentChartData()
 					},
 				});
 			}
 		}
 
 		if (data.type === 'sbClick') {
-			const soundEntry = sounds.find(sound => sound.filename === data.soundFilename);
+			++soundEntry.count;
 
-			if (soundEntry) ++soundEntry.count;
-			else return;
+			updateCacheVersion('sounds');
+			recordSoundClick(soundEntry);
 
 			if (config.responseInterval > 0) {
 				// Queue update if bulk mode enabled
@@ -1271,19 +4775,16 @@ socketServer.on('connection', (socket, req) => {
 	});
 
 	socket.on('close', (code, reason) => {
-		if (config.socketConnections > 0 && !socket.limitKicked) {
+		if (config.socketConnections > 0 && !socket.limitKicked && !socket.blocked) {
 			/*
 			limitKicked property so the connection counter doesn't decrement for connections
 			which were intentionally closed and not recorded when the connection limit was activated
 			*/
 			const user = socketConnections.find(u => u.ip === socket.realIP);
 
-			if (user.connections - 1 <= 0) {
-				if (config.requestsPerMinute === -1) socketConnections.splice(socketConnections.findIndex(u => u.ip === socket.realIP), 1);
-				else user.connections = 0;
-				// Keeping data until next ratelimit clear if ratelimit is activated because otherwise users could reconnect to reset ratelimit
-			}
+			if (user.connections - 1 <= 0) socketConnections.splice(socketConnections.findIndex(u => u.ip === socket.realIP), 1);
 			else user.connections--;
+			// Ratelimits are kept separately, so reconnecting doesn't reset them
 		}
 
 		return clearInterval(socket.pingInterval);
@@ -1299,8 +4800,44 @@ databaseUpdateJob = scheduleJob(`*/${config.updateInterval} * * * *`, () => {
 	return Logger.info('Database successfully updated.');
 }); // Update db at every n-th minute
 
+scheduleJob('0 * * * *', () => {
+	const now = Date.now();
+	const expiredEntries = blocklist.filter(entry => entry.expires && entry.expires <= now);
+	if (!expiredEntries.length) return;
+
+	db.run('DELETE FROM blocklist WHERE expires IS NOT NULL AND expires <= ?', now);
+	blocklist = blocklist.filter(entry => !expiredEntries.includes(entry));
+
+	return Logger.info(`${expiredEntries.length} expired blocklist entries removed.`);
+}); // Purge expired blocklist entries every hour
+
+scheduleJob('30 * * * *', () => {
+	return db.run('DELETE FROM sessions WHERE expires <= ?', Date.now(), function(deleteErr) { // Function for access to "this.changes"
+		if (deleteErr) {
+			Logger.error('An error occurred while removing expired sessions.');
+			return Logger.error(deleteErr);
+		}
+
+		if (this.changes) return Logger.info(`${this.changes} expired sessions removed.`);
+	});
+}); // Purge expired sessions every hour
+
+scheduleJob('45 * * * *', () => {
+	const now = Date.now();
+	const expiredSounds = trashedSounds.filter(sound => {
+		const purgeTime = getPurgeTime(sound);
+		return purgeTime !== null && purgeTime <= now;
+	});
+	if (!expiredSounds.length) return;
+
+	return purgeSounds(expiredSounds, purgeErr => {
+		if (!purgeErr) return Logger.info(`${expiredSounds.length} sounds purged from the trash after the retention period.`);
+	});
+}); // Purge sounds that have been in the trash for longer than the retention period every hour
+
 scheduleJob('0 0 1 1 *', () => {
 	yearly = 0;
+	updateCacheVersion('counter');
 
 	Logger.info('Yearly counter reset.');
 	return emitUpdate({
@@ -1314,6 +4851,8 @@ scheduleJob('0 0 1 1 *', () => {
 
 scheduleJob('0 0 1 * *', () => {
 	monthly = 0; fetchedDaysAmount = 1;
+	updatePastChartData();
+	updateCacheVersion('counter', 'statistics');
 
 	Logger.info('Monthly counter & fetched days amount reset.');
 	return emitUpdate({
@@ -1327,6 +4866,7 @@ scheduleJob('0 0 1 * *', () => {
 
 scheduleJob('0 0 * * 1', () => {
 	weekly = 0;
+	updateCacheVersion('counter');
 
 	Logger.info('Weekly counter reset.');
 	return emitUpdate({
@@ -1347,6 +4887,7 @@ scheduleJob('1 0 * * *', () => {
 		date: dateFns.format(new Date(), 'yyyy-MM-dd'),
 		count: 0,
 	});
+	updateCacheVersion('counter', 'statistics');
 
 	Logger.info('Daily counter reset & fetched days amount incremented.');
 	return emitUpdate({
@@ -1356,4 +4897,28 @@ scheduleJob('1 0 * * *', () => {
 			summary: { alltime: counter, daily, weekly, monthly, yearly, average }
 		},
 	});
-}); // Reset daily counter and update local statistics map at 1 minute past midnight
\ No newline at end of file
+}); // Reset daily counter and update local statistics map at 1 minute past midnight
+
+scheduleJob('0 0 * * *', () => {
+	const now = new Date(), yesterday = dateFns.subDays(now, 1);
+	const activeEvents = seasonalEvents.filter(event => isSeasonalEventActive(event, now));
+	const startedEvents = activeEvents.filter(event => !isSeasonalEventActive(event, yesterday));
+	const endedEvents = seasonalEvents.filter(event => !activeEvents.includes(event) && isSeasonalEventActive(event, yesterday));
+	if (!startedEvents.length && !endedEvents.length) return;
+
+	updateCacheVersion('backgrounds');
+	Logger.info(`Seasonal events updated, ${startedEvents.length} started and ${endedEvents.length} ended.`);
+
+	startedEvents.filter(event => event.notification).forEach(event => emitUpdate({
+		type: 'notification',
+		notification: {
+			text: event.notification,
+			duration: 10
+		}
+	}));
+
+	return emitUpdate({
+		type: 'backgroundsUpdate',
+		events: activeEvents
+	});
+}); // Switch the active seasonal events at midnight
\ No newline at end of file